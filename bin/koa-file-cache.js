@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+var util = require('util');
+var co = require('co');
+var Cache = require('..');
+var encodings = require('../lib/encodings');
+
+/**
+ * koa-file-cache <command> [args] [options]
+ * Look into and maintain a cache folder, as the middleware sees it.
+*/
+
+var USAGE = [
+    "Usage: koa-file-cache <command> [args] [options]",
+    "",
+    "Commands:",
+    "  list                 List the entries, with their size, age, encodings and state",
+    "  show <key>           Show an entry, uncompressed (JSON pretty-printed)",
+    "  delete <key|glob>... Remove entries by key, or keys matching a glob (e.g. 'users.*')",
+    "  purge                Remove the expired entries",
+    "  stats                Total size and counts of the entries",
+    "",
+    "Options:",
+    "  --folder <folder>      Cache folder, as given to the middleware. Default .",
+    "  --cache-time <ms>      The middleware's cacheTime, for entries saved without their expiry. Default 60000",
+    "  --encodings <list>     The middleware's encodings, comma separated. Default every one",
+    "  --encryption <key>     The middleware's encryption key (hex or base64), to show encrypted entries",
+    "  --json                 Output JSON instead",
+    "  --help                 Show this"
+].join("\n");
+
+var OPTIONS = {
+    '--folder': 'folder',
+    '--cache-time': 'cacheTime',
+    '--encodings': 'encodings',
+    '--encryption': 'encryption'
+};
+
+var commands = {
+    list: function*(args, options) {
+        var list = yield Cache.list(options);
+        if (options.json) return output(list);
+
+        var now = Date.now();
+        output(table(['KEY', 'SIZE', 'AGE', 'ENCODINGS', 'STATE'], list.map(function(entry) {
+            return [entry.key, formatSize(entry.size), formatTime(now - entry.created), entry.encodings.join(','),
+                entry.state + (entry.state === 'fresh'? ' (' + formatTime(entry.expires - now) + ' left)' : '')];
+        })));
+    },
+
+    show: function*(args, options) {
+        if (args.length !== 1) throw new UsageError("show takes one key");
+
+        var entry = yield Cache.inspect(args[0], options);
+        if (!entry) throw new Error("No entry " + args[0]);
+
+        // One whose responses vary has no content of its own, its variants do
+        if (entry.vary) {
+            if (options.json) return output(entry);
+
+            var now = Date.now();
+            return output([
+                "Key:       " + entry.key,
+                "Varies on: " + entry.vary.join(', '),
+                "Size:      " + formatSize(entry.size) + " stored",
+                "Encodings: " + entry.encodings.join(','),
+                "Created:   " + new Date(entry.created).toISOString(),
+                "Expires:   " + new Date(entry.expires).toISOString() + " (" + entry.state + ")",
+                "Tags:      " + (entry.tags.join(', ') || "none"),
+                "",
+                table(['VARIANT', 'SIZE', 'AGE', 'STATE'], entry.variants.map(function(variant) {
+                    return [variant.key, formatSize(variant.size), formatTime(now - variant.created), variant.state];
+                }))
+            ].join("\n"));
+        }
+
+        var body = entry.data.toString('utf8');
+        var json = null;
+        try {
+            json = JSON.parse(body);
+        } catch (e) {}
+
+        if (options.json) {
+            delete entry.data;
+            entry.body = body;
+            if (json !== null) entry.body = json;
+            return output(entry);
+        }
+
+        output([
+            "Key:       " + entry.key,
+            "Type:      " + (entry.type || "unknown"),
+            "Size:      " + formatSize(entry.size) + " stored, " + formatSize(entry.data.length) + " uncompressed",
+            "Encodings: " + entry.encodings.join(','),
+            "Created:   " + new Date(entry.created).toISOString(),
+            "Expires:   " + new Date(entry.expires).toISOString() + " (" + entry.state + ")",
+            "Tags:      " + (entry.tags.join(', ') || "none"),
+            "",
+            (json !== null)? JSON.stringify(json, null, 2) : body
+        ].join("\n"));
+    },
+
+    delete: function*(args, options) {
+        if (!args.length) throw new UsageError("delete takes one or more keys or globs");
+
+        var keys = [];
+        var list = null;
+        for (var i=0; i<args.length; i++) {
+            if (!/[*?]/.test(args[i])) {
+                keys.push(args[i]);
+                continue;
+            }
+
+            var pattern = toRegExp(args[i]);
+            list = list || (yield Cache.list(options));
+            list.forEach(function(entry) {
+                if (pattern.test(entry.key) && keys.indexOf(entry.key) === -1) keys.push(entry.key);
+            });
+        }
+
+        for (i=0; i<keys.length; i++) {
+            yield Cache.del(keys[i], options.store);
+        }
+        report(options, keys, "Deleted");
+    },
+
+    purge: function*(args, options) {
+        report(options, yield Cache.purge(options), "Purged");
+    },
+
+    stats: function*(args, options) {
+        var list = yield Cache.list(options);
+
+        var stats = {entries: list.length, size: 0, fresh: 0, stale: 0, expired: 0, encodings: {}};
+        list.forEach(function(entry) {
+            stats.size += entry.size;
+            stats[entry.state]++;
+            entry.encodings.forEach(function(encoding) {
+                stats.encodings[encoding] = (stats.encodings[encoding] || 0) + 1;
+            });
+        });
+        if (options.json) return output(stats);
+
+        output([
+            "Entries:   " + stats.entries + " (" + stats.fresh + " fresh, " + stats.stale + " stale, " + stats.expired + " expired)",
+            "Size:      " + formatSize(stats.size),
+            "Encodings: " + (Object.keys(stats.encodings).map(function(encoding) {
+                return encoding + " " + stats.encodings[encoding];
+            }).join(', ') || "none")
+        ].join("\n"));
+    }
+};
+
+// Wrong command line, the usage is shown along with it
+function UsageError(message) {
+    Error.call(this);
+    this.message = message;
+}
+util.inherits(UsageError, Error);
+
+// Command, its args and the options of the middleware (plus json) from argv
+function parse(argv) {
+    var parsed = {command: null, args: [], options: {}};
+    for (var i=0; i<argv.length; i++) {
+        var arg = argv[i];
+        if (arg === '--json') parsed.options.json = true;
+        else if (arg === '--help' || arg === '-h') parsed.options.help = true;
+        else if (OPTIONS[arg]) {
+            if (i+1 >= argv.length) throw new UsageError(arg + " takes a value");
+            parsed.options[OPTIONS[arg]] = argv[++i];
+        }
+        else if (/^--/.test(arg)) throw new UsageError("Unknown option " + arg);
+        else if (!parsed.command) parsed.command = arg;
+        else parsed.args.push(arg);
+    }
+
+    var options = parsed.options;
+    if (options.cacheTime !== undefined) {
+        options.cacheTime = parseInt(options.cacheTime, 10);
+        if (!(options.cacheTime > 0)) throw new UsageError("--cache-time takes a number of milliseconds");
+    }
+    options.encodings = options.encodings? options.encodings.split(',') : encodings.names;
+    options.store = new Cache.FileStore({folder: options.folder || "."});
+    return parsed;
+}
+
+function report(options, keys, action) {
+    if (options.json) return output(keys);
+    output(keys.map(function(key) {
+        return action + " " + key;
+    }).concat(action + " " + keys.length + " entries").join("\n"));
+}
+
+function output(value) {
+    process.stdout.write(((typeof value === 'string')? value : JSON.stringify(value, null, 2)) + "\n");
+}
+
+// Rows aligned in columns under their headers
+function table(headers, rows) {
+    var widths = headers.map(function(header, i) {
+        return Math.max.apply(null, [header.length].concat(rows.map(function(row) {
+            return String(row[i]).length;
+        })));
+    });
+    return [headers].concat(rows).map(function(row) {
+        return row.map(function(cell, i) {
+            cell = String(cell);
+            return (i === row.length-1)? cell : cell + new Array(widths[i] - cell.length + 1).join(' ');
+        }).join('  ');
+    }).join("\n");
+}
+
+// Glob of keys, * matching anything and ? any character
+function toRegExp(glob) {
+    return new RegExp('^' + glob.split('').map(function(c) {
+        if (c === '*') return '.*';
+        if (c === '?') return '.';
+        return c.replace(/[\\^$+.()|{}\[\]]/, '\\$&');
+    }).join('') + '$');
+}
+
+function formatSize(bytes) {
+    if (bytes < 1024) return bytes + " B";
+    if (bytes < 1024*1024) return (bytes/1024).toFixed(1) + " KB";
+    return (bytes/1024/1024).toFixed(1) + " MB";
+}
+
+function formatTime(ms) {
+    var s = Math.max(0, Math.round(ms/1000));
+    if (s < 60) return s + "s";
+    if (s < 60*60) return Math.floor(s/60) + "m";
+    if (s < 60*60*24) return Math.floor(s/60/60) + "h";
+    return Math.floor(s/60/60/24) + "d";
+}
+
+try {
+    var parsed = parse(process.argv.slice(2));
+}
+catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    process.stderr.write(err.message + "\n\n" + USAGE + "\n");
+    process.exit(1);
+}
+
+if (parsed.options.help || !parsed.command) {
+    process.stdout.write(USAGE + "\n");
+    process.exit(parsed.options.help? 0 : 1);
+}
+if (!commands.hasOwnProperty(parsed.command)) {
+    process.stderr.write("Unknown command " + parsed.command + "\n\n" + USAGE + "\n");
+    process.exit(1);
+}
+
+co(commands[parsed.command](parsed.args, parsed.options)).catch(function(err) {
+    process.stderr.write(err.message + ((err instanceof UsageError)? "\n\n" + USAGE : "") + "\n");
+    process.exit(1);
+});
@@ -1,6 +1,24 @@
-var fs = require('fs');
-var zlib = require('zlib');
+var http = require('http');
+var path = require('path');
+var net = require('net');
+var crypto = require('crypto');
+var stream = require('stream');
+var EventEmitter = require('events').EventEmitter;
+var co = require('co');
 var debug = require('debug')('cache');
+var encodings = require('./lib/encodings');
+var Key = require('./lib/key');
+var checksum = require('./lib/checksum');
+var serializers = require('./lib/serializers');
+var encryption = require('./lib/encryption');
+var entries = require('./lib/entries');
+var Sweeper = require('./lib/sweeper');
+var Stats = require('./lib/stats');
+var compat = require('./lib/compat');
+var admin = require('./lib/admin');
+var FileStore = require('./lib/stores/file');
+var MemoryStore = require('./lib/stores/memory');
+var TieredStore = require('./lib/stores/tiered');
 
 /**
  * Koa-File-Cache
@@ -8,288 +26,1912 @@ var debug = require('debug')('cache');
  * (e.g. remote, nested DB, etc) to disk in KoaJS.
  *
  * @param {Object} [options]
- *      cacheTime: {Number} time in milliseconds cache is allowed
+ *      cacheTime: {Number} time in milliseconds cache is allowed (downstream may set this.cacheTime per response)
+ *      cacheControl: {Boolean} Take the time cache is allowed from the response's Cache-Control or Expires header,
+ *          and don't cache what they forbid (no-store, private)
+ *      key: {Boolean|Object|Function} Build the file name from the request instead (see Cache.Key),
+ *          or a function returning it
  *      fileNameHash: {Array[String}} Fields that will be used to generate the file name
  *      fileNameHashSep: {String} String used to seperate the fileNameHash fields
  *      folder: {String} Folder that will be used to store the cache
+ *      store: {Store} Where to store the cache instead, defaults to a FileStore in folder
  *      gzip: {Boolean} Store and send cache as gzip
- *      gzipThreshold: {Number} Size in bytes the amount where should begin to store gzipped
+ *      encodings: {Array[String]} Encodings to store and send cache as instead (gzip, deflate, br)
+ *      compressionLevels: {Object} Compression level per encoding
+ *      gzipThreshold: {Number} Size in bytes the amount where should begin to store compressed
+ *      encryption: {Buffer|String|Function} Key to encrypt the cache files with (AES-256-GCM), or a function
+ *          (id) => {id, key} returning the current key without id, and the key of an id to decrypt with
+ *      checksum: {String|Boolean} Algorithm of the checksums stored along with the cache and verified
+ *          when it's read (sha256 or crc32), false to disable
  *      delegate: {Boolean} Prevent from piping directly to response, allow cache to be manipulated
  *      type: {String} Only needed to indicate a response type if cache is being piped directly
- * @returns {Middleware*}
+ *          (and for a cache without metadata)
+ *      serializer: {String|Object} How to store a body and load it back (json, text, buffer, structured),
+ *          or a custom {name, serialize, deserialize}
+ *      headers: {Array[String]} Response headers to store along with the cache, and send on a hit
+ *      methods: {Array[String]} Request methods the cache is used for, others go straight downstream
+ *      statuses: {Array[Number]|Object} Response statuses to cache, or {status: time} to cache them
+ *          for their own time in milliseconds (true for cacheTime)
+ *      shouldCache: {Function} Called with the context of a response about to be cached, which isn't if it returns false
+ *      coalesce: {Boolean} Only let one request at a time recompute an expired cache
+ *      lockTimeout: {Number} Time in milliseconds after which another process' lock is considered abandoned
+ *      staleWhileRevalidate: {Number} Time in milliseconds an expired cache is still sent while it's refreshed in the background
+ *      staleIfError: {Number} Time in milliseconds an expired cache is still sent if downstream fails
+ *      refreshAhead: {Number} Fraction of the time a cache is allowed, at the end of which a hit also
+ *          refreshes it in the background (e.g. 0.1 for the last 10%)
+ *      visibility: {String} Whether the cache sent may be kept by shared caches ('public') or only by the client ('private')
+ *      sMaxAge: {Number} Time in milliseconds shared caches may keep it, if it should differ (s-maxage)
+ *      requestDirectives: {Boolean} Let the request's Cache-Control (or Pragma) force recomputing the cache (no-cache),
+ *          or only accept it from cache (only-if-cached), upstream may set this.cacheRequestDirectives per request
+ *      name: {String} Name of this cache in its stats (and metrics)
+ *      onError: {Function} Called with (err, {key, operation}, ctx) when reading or writing the cache fails,
+ *          which is otherwise only logged (the request is handled as if there was no cache)
+ *      maxSize: {Number} Size in bytes the cache may take up, least used entries are evicted past it
+ *      maxEntries: {Number} Number of entries the cache may have, least used entries are evicted past it
+ *      eviction: {String} Which entries are evicted first, 'lru' (least recently used) or 'lfu' (least frequently used)
+ *      sweepInterval: {Number} Time in milliseconds between removing expired entries (and evicting)
+ * @returns {Middleware*} generator middleware (koa 0.x and 1.x), see Cache.async for koa 2 and later
 */
 
 function Cache(options) {
-    options = options || {};
-    options.cacheTime = options.cacheTime || 1000*60; // default 60 seconds
-
-    options.fileNameHash = options.fileNameHash || ['cacheName'];
-    options.fileNameHashSep = options.fileNameHashSep || ".";
-    options.folder = (options.folder || ".") + "/"; // default current folder
-
-    options.gzip = (options.gzip === undefined)? true : !!options.gzip; // default true
-    options.gzipThreshold = options.gzipThreshold || 1024; // default 1024 bytes
+    options = getOptions(options);
+    if (stores.indexOf(options.store) === -1) stores.push(options.store);
 
-    options.delegate = !!options.delegate; // default false
-    options.type = options.type || 'json';
+    // Only keep track of entries if we're to remove any
+    options.eviction = options.eviction || 'lru'; // default least recently used
+    if (options.maxSize || options.maxEntries || options.sweepInterval) {
+        options.sweeper = new Sweeper(options.store, {
+            maxSize: options.maxSize,
+            maxEntries: options.maxEntries,
+            eviction: options.eviction,
+            sweepInterval: options.sweepInterval,
+            cacheTime: options.cacheTime,
+            grace: Math.max(options.staleWhileRevalidate, options.staleIfError)
+        }).start();
+        sweepers.push(options.sweeper);
+    }
 
     // Middleware
-    return function *(next) {
-        var fileName = getFileName(this, options); // extension-less (.gz)
-        var fileInfo = yield getFileInfo(fileName, options);
+    var handle = function *(next) {
+        // Other methods (e.g. POST) are none of our business
+        if (options.methods.indexOf(this.method) === -1) return yield next;
+
+        var start = Date.now();
+        var primaryName = getFileName(this, options); // extension-less (.gz)
+        var fileName = primaryName;
 
         this.cacheOptions = options;
+
+        // A cache we can't even look up is treated as missing
+        try {
+            var fileInfo = yield getFileInfo(fileName, options);
+
+            // Responses varying on request headers are stored as a variant per their values
+            if (!fileInfo.exists) {
+                var variantName = yield getVariantName(this, primaryName, options);
+                if (variantName) {
+                    fileName = variantName;
+                    fileInfo = yield getFileInfo(fileName, options);
+                }
+            }
+        }
+        catch (err) {
+            fail(options, err, 'read', fileName, this);
+            fileInfo = missingFileInfo(fileName);
+        }
         this.cacheInfo = fileInfo;
 
+        // What the client asks of us, if it may
+        var directives = getRequestDirectives(this);
+        if (directives.noCache && fileInfo.exists) {
+            debug("Client asked not to be sent "+fileInfo.name);
+            forceExpired(fileInfo);
+        }
+
+        // Recompute it even if it's fresh (refreshing ahead, or warming)
+        var refresh = directives.noCache || !!this.cacheRefresh;
+        if (this.cacheRefresh && fileInfo.exists) forceExpired(fileInfo);
+
         debug(fileInfo.name, " has expired: "+ fileInfo.expired);
 
-        // If no cache exists or is expired (save)
-        if (fileInfo.expired) {
-            // Let downstream middleware do their stuff
-            yield next;
+        // A background revalidation found someone else already refreshed it
+        if (this.cacheRevalidate && !fileInfo.expired) return;
 
-            // Allow middleware to decide if we shouldn't cache
-            //  or if the body is empty
-            if (this.caching === false || !this.body) {
-                debug("Caching disabled for this request");
+        // Serve the expired cache right away and refresh it in the background
+        if (fileInfo.staleWhileRevalidate && !this.cacheRevalidate && this.caching !== false) {
+            if (!getInflight(options.store)[fileName]) revalidate(this, false);
+
+            setStale(this, '110 - "Response is Stale"');
+            if (options.sweeper) options.sweeper.touch(fileName);
+            if (yield sendCache(this, next, fileInfo)) {
+                emit('hit', {key: fileName, size: fileInfo.stats.size, time: Date.now() - start, stale: true});
                 return;
             }
 
-            yield saveCache(this, fileName);
-
-            // Set some useful caching headers
-            var lastModifiedApprox = new Date();
-            var expiresApprox = new Date(Date.now() + options.cacheTime);
-            this.set('Last-Modified', lastModifiedApprox.toUTCString());
-            this.set('Expires', expiresApprox.toUTCString());
+            // It couldn't be read, recompute it right away instead
+            fileInfo = this.cacheInfo = missingFileInfo(fileName);
         }
+
         // If a valid cache exists (read)
-        else {
+        if (!fileInfo.expired) {
             // Let upstream middleware decide if we shouldn't read from cache
             if (this.caching === false) {
                 yield next;
+                bypass(this, fileName);
                 return;
             }
 
-            // Get the header and file cache stats
-            this.vary('Accept-Encoding');
-            var encoding = this.acceptsEncodings(['gzip', 'identity']);
-            var lastModified = fileInfo.stats.mtime;
-            var ifModifiedSince = new Date(this.get('If-Modified-Since'));
-            var expires = new Date(lastModified.getTime() + options.cacheTime);
-
-            // Drop the milliseconds because ifModifiedSince inherently does
-            lastModified.setMilliseconds(0);
-
-            // Check if we need to send the data (or if it's already cached client-side)
-            if (ifModifiedSince.getTime() >= lastModified.getTime()) {
-                this.status = 304;
-                this.set('Last-Modified', lastModified.toUTCString());
-                this.set('Expires', expires.toUTCString());
+            this.set('X-Cache', 'HIT');
+            if (options.sweeper) options.sweeper.touch(fileName);
+            if (yield sendCache(this, next, fileInfo)) {
+                emit('hit', {key: fileName, size: fileInfo.stats.size, time: Date.now() - start});
+
+                // Refresh it before it expires in front of someone
+                if (isDueForRefresh(fileInfo, options) && !this.cacheRevalidate && !getInflight(options.store)[fileName]) {
+                    revalidate(this, true);
+                }
                 return;
             }
 
-            // Force the cache to be loaded uncompressed
-            var force_parse_file = false;
-            // Force delegation to the other middleware
-            var force_delegation = false;
+            // It couldn't be read, recompute it
+            fileInfo = this.cacheInfo = missingFileInfo(fileName);
+        }
+
+        if (directives.onlyIfCached) {
+            debug("Client only accepts a cache, there's none for "+fileInfo.name);
+            this.status = 504;
+            this.set('X-Cache', 'MISS');
+            emit('miss', {key: fileName, time: Date.now() - start});
+            return;
+        }
 
-            // If we're not delegating we can stream directly to client
-            if (!options.delegate) {
-                this.set('Last-Modified', lastModified.toUTCString());
-                this.set('Expires', expires.toUTCString());
+        // Only let one request (per process and across processes) recompute
+        //  an expired cache, the others wait and read what it wrote
+        var lock = null;
+        if (options.coalesce && this.caching !== false) {
+            try {
+                var acquired = yield acquire(fileName, options, refresh);
+                fileInfo = this.cacheInfo = acquired.info;
+                lock = acquired.lock;
+            }
+            catch (err) {
+                fail(options, err, 'lock', fileName, this);
+            }
 
-                var cache = fs.createReadStream(fileInfo.name);
-                if ((encoding === 'gzip') && fileInfo.gzipped) {
-                    this.set('Content-Encoding', encoding);
-                    this.body = cache;
+            if (this.cacheRevalidate && !fileInfo.expired) return;
 
-                    // Prevent compression by other middleware
-                    this.compress = false;
+            // Someone else wrote it while we were waiting
+            if (!fileInfo.expired) {
+                this.set('X-Cache', 'HIT');
+                if (yield sendCache(this, next, fileInfo)) {
+                    emit('hit', {key: fileName, size: fileInfo.stats.size, time: Date.now() - start});
+                    return;
                 }
-                else if ((encoding === 'identity') && fileInfo.gzipped) {
-                    force_parse_file = true;
-                }
-                else {
-                    this.body = cache;
+                fileInfo = this.cacheInfo = missingFileInfo(fileName);
+            }
+        }
+
+        // No cache exists or it's expired (save)
+        if (this.caching !== false) this.set('X-Cache', 'MISS');
+
+        // Whether we can fall back to the expired cache if downstream fails
+        var fallback = fileInfo.staleIfError && this.caching !== false;
+        var failed = false;
+
+        try {
+            // Let downstream middleware do their stuff
+            try {
+                yield next;
+            }
+            catch (err) {
+                if (!fallback) throw err;
+
+                debug("Downstream failed, falling back to stale cache", err);
+                failed = err;
+            }
+
+            if (fallback && (failed || this.status >= 500)) {
+                var status = this.status;
+                this.status = 200;
+                setStale(this, '111 - "Revalidation Failed"');
+                if (yield sendCache(this, null, fileInfo)) {
+                    // The client doesn't see downstream failed, but it's still reported
+                    if (failed) fail(options, failed, 'downstream', fileName, this);
+                    emit('hit', {key: fileName, size: fileInfo.stats.size, time: Date.now() - start, stale: true});
+                    return;
                 }
 
-                // Set the type
-                this.type = options.type;
+                // The stale cache couldn't be read either
+                if (failed) throw failed;
+                this.status = status;
+                return;
+            }
+
+            // Allow middleware to decide if we shouldn't cache
+            //  or if the body is empty
+            if (this.caching === false || !this.body) {
+                debug("Caching disabled for this request");
+                bypass(this, fileName);
+                return;
+            }
+            if (!options.statuses.hasOwnProperty(this.status) || (options.shouldCache && !options.shouldCache(this))) {
+                debug("Response with status "+this.status+" is not to be cached");
+                bypass(this, fileName);
+                return;
             }
 
-            // If we need to load the file into memory uncompressed
-            if (options.delegate || force_parse_file) {
+            // Nor (when following its Cache-Control) what downstream marked as not to be
+            //  kept by shared caches (or at all), its Cache-Control is left as it is
+            if (options.cacheControl && isPrivate(this)) {
+                debug("Response is private or not to be stored, not caching it");
+                bypass(this, fileName);
+                return;
+            }
 
-                var cache = yield Cache.get(this);
+            // Stored as the variant for this request if it varies on request headers (on anything, not at all)
+            var vary = getVary(this);
+            if (vary.indexOf('*') !== -1) {
+                debug("Response varies on anything, not caching it");
+                bypass(this, fileName);
+                return;
+            }
+            fileName = getVariant(this, primaryName, vary);
 
-                // Store the cache directly in the body
-                this.body = cache;
+            // How long this response may be cached for
+            this.cacheTime = getCacheTime(this);
+            if (!this.cacheTime) {
+                debug("Response is not to be cached");
+                bypass(this, fileName);
+                return;
+            }
 
-                force_delegation = !cache; // if something went wrong
+            // Record what it varies on, for the next request to find its variant
+            if (vary.length) {
+                try {
+                    yield saveVary(options, primaryName, vary);
+                }
+                catch (err) {
+                    fail(options, err, 'write', primaryName, this);
+                    bypass(this, fileName);
+                    return;
+                }
             }
+            emit('miss', {key: fileName, time: Date.now() - start});
 
-            if (options.delegate || force_delegation) {
-                // Let middleware down the line see the cache
-                yield next;
+            // Streams are saved as they're sent, the lock isn't held until that's
+            //  done as it's up to the client (who may be slow, or never read it).
+            //  Those waiting on it in this process are kept waiting until then though.
+            if (isStream(this.body)) {
+                var started = Date.now();
+                var ctx = this;
+                var parked = lock;
+                if (parked) parked.parked = true;
+                var save = function(cb) {
+                    saveStream(ctx, fileName, function(err, meta) {
+                        if (err) {
+                            fail(options, err, 'write', fileName, ctx);
+                        }
+                        else {
+                            emit('write', {key: fileName, size: meta.length, time: Date.now() - started});
+                            if (options.sweeper) co(options.sweeper.update(fileName));
+                        }
+                        if (parked) wakeInflight(getInflight(options.store), parked.name);
+                        cb();
+                    });
+                };
+
+                // Nothing reads the body of a HEAD and koa destroys it once answered, so it's saved first
+                if (this.method === 'HEAD') yield save;
+                else save(function() {});
+            }
+            // Failing to save the cache doesn't fail the response, it's computed already
+            else {
+                var started = Date.now();
+                try {
+                    var meta = yield saveCache(this, fileName);
+                    emit('write', {key: fileName, size: meta.length, time: Date.now() - started});
+                }
+                catch (err) {
+                    fail(options, err, 'write', fileName, this);
+                    yield discard(options, fileName, this);
+                }
+                if (options.sweeper) yield options.sweeper.update(fileName);
+            }
+        }
+        finally {
+            if (lock) {
+                try {
+                    yield release(lock, options);
+                }
+                catch (err) {
+                    fail(options, err, 'lock', lock.name, this);
+                }
             }
         }
+
+        // Set some useful caching headers
+        var lastModifiedApprox = new Date();
+        var expiresApprox = new Date(lastModifiedApprox.getTime() + this.cacheTime);
+        this.set('Last-Modified', lastModifiedApprox.toUTCString());
+        this.set('Expires', expiresApprox.toUTCString());
+        if (meta) this.set('ETag', meta.etag);
+        // Downstream's own Cache-Control keeping it from shared caches (or at all) isn't overridden
+        if (!isPrivate(this)) setCacheControl(this, lastModifiedApprox.getTime(), expiresApprox.getTime(), lastModifiedApprox.getTime());
+    };
+    var middleware = options.async? compat.toAsync(handle) : handle;
+
+    // The middleware is also an EventEmitter (hit, miss, bypass, write, evict, error)
+    Object.keys(EventEmitter.prototype).forEach(function(key) {
+        middleware[key] = EventEmitter.prototype[key];
+    });
+    EventEmitter.call(middleware);
+    options.emitter = middleware;
+
+    // Only emit errors if anyone's listening, they'd be thrown otherwise
+    function emit(event) {
+        if (event === 'error' && !middleware.listeners('error').length) return;
+        middleware.emit.apply(middleware, arguments);
+    }
+
+    function bypass(ctx, fileName) {
+        ctx.set('X-Cache', 'BYPASS');
+        emit('bypass', {key: fileName});
+    }
+
+    if (options.sweeper) {
+        options.sweeper.on('evict', function(event) {
+            emit('evict', event);
+        });
+        options.sweeper.on('error', function(err, event) {
+            fail(options, err, 'sweep', event.key);
+        });
+    }
+
+    var stats = new Stats().listen(middleware);
+    middleware.stats = function() {
+        var snapshot = stats.toJSON();
+        if (options.name) snapshot.name = options.name;
+        if (options.sweeper) {
+            snapshot.size = options.sweeper.size;
+            snapshot.entries = options.sweeper.count;
+        }
+        return snapshot;
     };
+
+    return middleware;
 }
-Cache.get = function*(ctx) {
+
+/**
+ * Koa-File-Cache as an async (ctx, next) middleware, for koa 2 and later.
+ * It takes the same options, and is the same otherwise (stats(), events).
+ *
+ * @param {Object} [options] see Cache
+ * @returns {Function} async (ctx, next) middleware
+*/
+Cache.async = function(options) {
+    options = options || {};
+    options.async = true;
+    return Cache(options);
+};
+
+/**
+ * The cache of a request that went through the middleware, loaded
+ * (uncompressed, and deserialized), e.g. when delegating.
+ *
+ * @param {Context} ctx
+ * @returns {Promise} resolving to the cache, or null if there's none (or it can't be read)
+*/
+Cache.get = co.wrap(function*(ctx) {
     var fileInfo = ctx.cacheInfo;
     var options = ctx.cacheOptions;
 
-    if (!fileInfo.exists) {
+    // Not even looked up, e.g. for a method the cache isn't used for
+    if (!fileInfo || !fileInfo.exists) {
         return null;
     }
-    // Read the file
-    debug("Reading from "+fileInfo.name);
+    // Read the file, uncompressed if we have it
+    var encoding = fileInfo.variants.identity? 'identity' : fileInfo.encoding;
+    var name = fileInfo.variants[encoding].name;
+    debug("Reading from "+name);
 
-    var cache = yield readFile(fileInfo.name);
-    cache = yield loadCacheUncompressed(options, cache, fileInfo.gzipped);
-    return cache;
-};
-module.exports = Cache;
+    // One that can't be read (or is corrupt) is as good as none
+    try {
+        var cache = yield options.store.get(name);
+        if (cache === null) return null;
+        verifyChecksum(options, fileInfo, encoding, cache);
+        cache = decryptCache(options, fileInfo, encoding, cache);
+        return yield loadCacheUncompressed(options, cache, fileInfo, encoding);
+    }
+    catch (err) {
+        fail(options, err, 'read', fileInfo.fileName, ctx);
+        yield discardRead(options, fileInfo, ctx);
+        return null;
+    }
+});
 
-function* loadCacheUncompressed(options, cache, isGzipped) {
-    // Ensure cache is okay
-    if (cache !== undefined) {
-        // Uncompress if compressed
-        if (options.gzip && isGzipped) {
-            cache = yield gunzip(cache);
-        }
+/**
+ * Remove a cache entry, by the context of a request that went through
+ * the middleware, or by its name (fileNameHash fields joined by fileNameHashSep).
+ *
+ * @param {Context|String} ctx
+ * @param {String|Store} [store] Folder or store to remove it from, defaults to those of every middleware
+ * @returns {Promise}
+*/
+Cache.del = co.wrap(function*(ctx, store) {
+    if (typeof ctx === 'string') {
+        Key.validatePath(ctx, 'name');
+        yield forEachStore(store, function*(store) {
+            yield delEntry(store, ctx);
+        });
+    }
+    else {
+        var options = ctx.cacheOptions;
+        if (!options) throw new Error("Context has not been through the cache middleware, remove by name instead");
+
+        // Only its variant of an entry whose responses vary
+        var fileName = getFileName(ctx, options);
+        yield delEntry(options.store, (yield getVariantName(ctx, fileName, options)) || fileName);
     }
+});
+
+/**
+ * Remove every cache entry.
+ *
+ * @param {String|Store} [store] Folder or store to clear, defaults to those of every middleware
+ * @returns {Promise}
+*/
+Cache.clear = co.wrap(function*(store) {
+    yield forEachStore(store, function*(store) {
+        var fileNames = yield entries.list(store);
+        for (var i=0; i<fileNames.length; i++) {
+            yield delEntry(store, fileNames[i]);
+        }
+    });
+});
+
+/**
+ * Remove every cache entry tagged (through this.cacheTags) with any of tags.
+ *
+ * @param {Array[String]} tags
+ * @param {String|Store} [store] Folder or store to purge, defaults to those of every middleware
+ * @returns {Promise} resolving to the names of the removed entries
+*/
+Cache.purgeTags = co.wrap(function*(tags, store) {
+    var purged = [];
+    yield forEachStore(store, function*(store) {
+        var fileNames = yield entries.list(store);
+        for (var i=0; i<fileNames.length; i++) {
+            var meta = yield entries.meta(store, fileNames[i]);
+            var tagged = meta && meta.tags && meta.tags.some(function(tag) {
+                return tags.indexOf(tag) !== -1;
+            });
+            if (!tagged) continue;
 
-    // Ensure cache is okay
-    if (cache !== undefined) {
-        // Parse JSON if we need to
-        if (options.type === 'json') {
-            cache = parseJSON(cache);
+            yield delEntry(store, fileNames[i]);
+            purged.push(fileNames[i]);
         }
+    });
+    return purged;
+});
+
+/**
+ * Remove the expired cache entries, then evict the least used ones
+ * while over maxSize or maxEntries, as the sweepers do periodically
+ * (re-indexing the entries first, in case others changed them).
+ *
+ * @param {String|Store} [store] Folder or store to sweep, defaults to those of every middleware sweeping
+ * @returns {Promise} resolving to the names of the removed entries
+*/
+Cache.sweep = co.wrap(function*(store) {
+    if (typeof store === 'string') store = new FileStore({folder: store});
+
+    var removed = [];
+    for (var i=0; i<sweepers.length; i++) {
+        if (store && !isSameStore(sweepers[i].store, store)) continue;
+        removed = removed.concat(yield sweepers[i].run(true));
     }
+    return removed;
+});
 
-    return cache;
-}
+/**
+ * The entries of a cache, as the middleware with these options sees them
+ * (e.g. to look into the cache, see bin/koa-file-cache.js).
+ *
+ * @param {Object} [options] Those of the middleware (folder or store, cacheTime, encodings, ...)
+ * @returns {Promise} resolving to {key, size, length, type, created, expires, state, encoding, encodings, tags}
+ *      per entry, state being fresh, stale (it may still be sent, see staleWhileRevalidate) or expired.
+ *      One whose responses vary is summed up from its variants, listed in it as {vary, variants}.
+*/
+Cache.list = co.wrap(function*(options) {
+    return yield listEntries(getOptions(copy(options)));
+});
 
-// Save the cache
-function saveCache(ctx, fileName) {
-    var options = ctx.cacheOptions;
-    return function(cb) {
-        // Stringify any JSON
-        if (options.type === 'json') {
-            ctx.body = JSON.stringify(ctx.body, null, ctx.app.jsonSpaces);
+/**
+ * An entry of a cache, as Cache.list describes it, along with its metadata
+ * and content (uncompressed and decrypted, as it would be sent).
+ *
+ * @param {String} key Name of the entry
+ * @param {Object} [options] Those of the middleware
+ * @returns {Promise} resolving to the entry with its meta and data (a Buffer), or null if there's none.
+ *      One whose responses vary has no data, its variants (listed in it) may be inspected instead.
+ *      Rejects if the content can't be read (e.g. it's corrupt).
+*/
+Cache.inspect = co.wrap(function*(key, options) {
+    options = getOptions(copy(options));
+
+    var fileName = Key.validatePath(key, 'key');
+    var fileInfo = yield getFileInfo(fileName, options);
+    if (!fileInfo.exists) {
+        var meta = yield entries.meta(options.store, fileName);
+        if (!meta || !meta.vary) return null;
+
+        var variants = [];
+        var fileNames = yield entries.list(options.store);
+        for (var i=0; i<fileNames.length; i++) {
+            if (entries.primary(fileNames[i]) !== fileName) continue;
+            var variantInfo = yield getFileInfo(fileNames[i], options);
+            if (variantInfo.exists) variants.push(describeEntry(variantInfo));
         }
+        if (!variants.length) return null;
+
+        var entry = describeVarying(fileName, meta.vary, variants);
+        entry.meta = meta;
+        return entry;
+    }
+
+    var encoding = fileInfo.variants.identity? 'identity' : fileInfo.encoding;
+    var data = yield options.store.get(fileInfo.variants[encoding].name);
+    if (data === null) return null;
+    verifyChecksum(options, fileInfo, encoding, data);
+    data = decryptCache(options, fileInfo, encoding, data);
+
+    entry = describeEntry(fileInfo);
+    entry.meta = fileInfo.meta;
+    entry.data = yield encodings.decompress(encoding, data);
+    return entry;
+});
+
+/**
+ * Remove the expired entries of a cache, as the middleware with these options sees them
+ * (unlike Cache.sweep, it doesn't need a sweeper). Those being written are left alone.
+ *
+ * @param {Object} [options] Those of the middleware
+ * @returns {Promise} resolving to the names of the removed entries
+*/
+Cache.purge = co.wrap(function*(options) {
+    options = getOptions(copy(options));
 
-        // The write stream
-        var out;
+    var purged = [];
+    var list = [];
+    (yield listEntries(options)).forEach(function(entry) {
+        list = list.concat(entry.variants || [entry]);
+    });
+    for (var i=0; i<list.length; i++) {
+        if (list[i].state !== 'expired') continue;
+        var token = yield options.store.lock(list[i].key);
+        if (!token) continue;
 
-        // If we should gzip and save
-        if (options.gzip && (ctx.response.length > options.gzipThreshold)) {
-            out = fs.createWriteStream(fileName+'.gz');
-            var compression = zlib.createGzip();
-            compression.pipe(out);
-            compression.end(ctx.body);
-            debug("Attempting to save "+fileName+'.gz');
+        try {
+            yield delEntry(options.store, list[i].key);
+            purged.push(list[i].key);
         }
-        // Or just save
-        else {
-            debug('gzip disabled or below threshold');
-            out = fs.createWriteStream(fileName);
-            out.end(ctx.body);
-            debug("Attempting to save "+fileName);
+        finally {
+            yield options.store.unlock(list[i].key, token);
         }
+    }
+    return purged;
+});
 
-        out.on('error', cb);
-        out.on('finish', cb);
-    };
-}
+/**
+ * Middleware serving JSON routes to browse and purge a cache under prefix
+ * (see lib/admin.js), e.g. to invalidate a bad response from a browser.
+ *
+ * @param {Object} options Those of the middleware (folder or store, cacheTime, encodings, ...), and
+ *      auth: {Function} Called with the context of every request under prefix, allowing it if it returns
+ *          (or resolves to) true. It may also throw, e.g. this.throw(401)
+ *      prefix: {String} Path the routes are under, defaults to /_cache
+ *      async: {Boolean} Return an async (ctx, next) middleware instead, for koa 2 and later
+ * @returns {Middleware*}
+*/
+Cache.admin = function(options) {
+    return admin(Cache, options);
+};
 
-function parseJSON(str) {
-    try {
-        return JSON.parse(str);
-    } catch (e) {
-        return undefined;
-    }
-}
+/**
+ * Populate the cache by running synthetic requests through the app,
+ * e.g. on startup or before the caches of the day go cold.
+ *
+ * @param {Application} app
+ * @param {Array[String|Object]} requests Paths, or {method, path, headers}
+ * @param {Object} [options]
+ *      force: {Boolean} Recompute caches that are still fresh too
+ * @returns {Promise} resolving to {path, status, cache} per request, cache being its X-Cache (HIT if it was fresh)
+*/
+Cache.warm = co.wrap(function*(app, requests, options) {
+    options = options || {};
 
-// Determine if cache has expired (or doesn't exist)
-function* getFileInfo(fileName, options) {
-    var info = {name:fileName, stats:null, expired: false, gzipped:false, exists: false};
+    var results = [];
+    for (var i=0; i<requests.length; i++) {
+        var request = (typeof requests[i] === 'string')? {path: requests[i]} : requests[i];
+        var headers = {};
+        Object.keys(request.headers || {}).forEach(function(field) {
+            headers[field.toLowerCase()] = String(request.headers[field]);
+        });
 
-    // If gzip is enabled, check filename.gz names first
-    if (options.gzip) info.exists = yield fileExists(fileName+'.gz');
+        var req = new http.IncomingMessage(new net.Socket());
+        req.method = (request.method || 'GET').toUpperCase();
+        req.url = request.path;
+        req.headers = headers;
+        req.push(null);
 
-    // If it does save some info, or else attempt without .gz
-    if (info.exists) {
-        info.name = fileName+'.gz';
-        info.gzipped = true;
-    }
-    else {
-        info.exists = yield fileExists(fileName);
+        // Like a background revalidation, it leaves a fresh cache alone (unless forced)
+        var ctx = createBackgroundContext(app, req);
+        ctx.cacheRevalidate = true;
+        ctx.cacheRefresh = !!options.force;
+
+        debug("Warming "+req.method+" "+req.url);
+        yield compat.run(app, ctx);
+        // Without X-Cache it was fresh already, or the cache middleware wasn't reached
+        var cache = ctx.response.get('X-Cache') || (ctx.cacheInfo? 'HIT' : null);
+        results.push({path: request.path, status: ctx.status, cache: cache});
     }
+    return results;
+});
 
-    // If either exists, retrieve stats and if it has expired
-    if (info.exists) {
-        info.stats =  yield fileStat(info.name);
-        info.expired = (Date.now() > info.stats.mtime.getTime() + options.cacheTime);
+/**
+ * Render the stats of one or more middleware in Prometheus' text exposition format,
+ * e.g. for a /metrics route.
+ *
+ * @param {Array[Middleware]|Middleware} caches Middleware (or what their stats() returned)
+ * @param {Object} [options]
+ *      prefix: {String} Prefix of the metric names, defaults to koa_cache
+ * @returns {String}
+*/
+Cache.metrics = function(caches, options) {
+    return Stats.render([].concat(caches).map(function(cache) {
+        return (typeof cache.stats === 'function')? cache.stats() : cache;
+    }), options);
+};
+
+Cache.Key = Key;
+Cache.FileStore = FileStore;
+Cache.MemoryStore = MemoryStore;
+Cache.TieredStore = TieredStore;
+Cache.serializers = serializers;
+Cache.Sweeper = Sweeper;
+Cache.Stats = Stats;
+module.exports = Cache;
+
+// Options with their defaults, for the middleware or anything reading its cache
+function getOptions(options) {
+    options = options || {};
+    options.cacheTime = options.cacheTime || 1000*60; // default 60 seconds
+    options.cacheControl = !!options.cacheControl; // default false
+
+    if (options.key && typeof options.key !== 'function') {
+        options.key = Key(options.key === true? {} : options.key);
     }
-    // If neither exist
-    else {
-        //info.name = fileName+'.gz'; // default to this
-        info.expired = true;
+    options.fileNameHash = options.fileNameHash || ['cacheName'];
+    options.fileNameHashSep = options.fileNameHashSep || ".";
+    options.folder = options.folder || "."; // default current folder
+
+    options.gzip = (options.gzip === undefined)? true : !!options.gzip; // default true
+    options.encodings = (options.encodings || (options.gzip? ['gzip'] : [])).filter(function(encoding) {
+        if (encodings.isSupported(encoding)) return true;
+        debug("Encoding "+encoding+" is not supported, ignoring it");
+    });
+    options.compressionLevels = options.compressionLevels || {}; // default zlib's
+    options.gzipThreshold = options.gzipThreshold || 1024; // default 1024 bytes
+
+    options.encryption = options.encryption? encryption.provider(options.encryption) : null; // default disabled
+
+    options.checksum = (options.checksum === undefined || options.checksum === true)? 'sha256' : options.checksum; // default sha256
+    if (options.checksum && !checksum.isSupported(options.checksum)) {
+        debug("Checksum "+options.checksum+" is not supported, ignoring it");
+        options.checksum = false;
     }
-    return info;
+
+    options.delegate = !!options.delegate; // default false
+    options.type = options.type || 'json';
+    options.serializer = serializers.get(options.serializer || (options.type === 'json'? 'json' : 'buffer'));
+    options.headers = (options.headers || ['Content-Disposition', 'Content-Language', 'Link']).map(function(field) {
+        return field.toLowerCase();
+    });
+
+    options.methods = (options.methods || ['GET', 'HEAD']).map(function(method) {
+        return method.toUpperCase();
+    });
+    options.statuses = getStatuses(options.statuses || [200]); // default 200 only
+
+    options.coalesce = (options.coalesce === undefined)? true : !!options.coalesce; // default true
+    options.lockTimeout = options.lockTimeout || 1000*30; // default 30 seconds
+
+    options.staleWhileRevalidate = options.staleWhileRevalidate || 0; // default disabled
+    options.staleIfError = options.staleIfError || 0; // default disabled
+    options.refreshAhead = options.refreshAhead || 0; // default disabled
+
+    options.visibility = (options.visibility === 'private')? 'private' : 'public'; // default public
+    options.requestDirectives = !!options.requestDirectives; // default false
+
+    options.store = options.store || new FileStore({folder: options.folder, lockTimeout: options.lockTimeout});
+
+    return options;
 }
 
-function getFileName(ctx, options) {
-    var name = '';
-    var fileNameHash = options.fileNameHash;
+// Shallow copy of options, to be given defaults without changing them
+function copy(options) {
+    var copied = {};
+    Object.keys(options || {}).forEach(function(key) {
+        copied[key] = options[key];
+    });
+    return copied;
+}
 
-    for (var i=0; i<fileNameHash.length; i++) {
-        name += ctx[fileNameHash[i]];
-        if (i !== fileNameHash.length-1) name += options.fileNameHashSep;
+// Every entry of a cache, as Cache.list describes them (variants within their entry)
+function* listEntries(options) {
+    var described = {};
+    var varying = {};
+    var fileNames = yield entries.list(options.store);
+    for (var i=0; i<fileNames.length; i++) {
+        var fileInfo = yield getFileInfo(fileNames[i], options);
+        if (fileInfo.exists) {
+            described[fileNames[i]] = describeEntry(fileInfo);
+            continue;
+        }
+
+        var meta = yield entries.meta(options.store, fileNames[i]);
+        if (meta && meta.vary) varying[fileNames[i]] = meta.vary;
     }
 
-    if (name.length === 0)
-        throw new Error("No cacheName given or way to generate a name to store the cache file");
+    var list = [];
+    fileNames.forEach(function(fileName) {
+        if (described[fileName] && !varying[entries.primary(fileName)]) list.push(described[fileName]);
+        if (!varying[fileName]) return;
 
-    return options.folder + name;
+        var variants = fileNames.filter(function(name) {
+            return described[name] && entries.primary(name) === fileName;
+        }).map(function(name) {
+            return described[name];
+        });
+        if (variants.length) list.push(describeVarying(fileName, varying[fileName], variants));
+    });
+    return list;
 }
 
-// Thunkify a few fs functions
-function readFile(path) {
-    return function(cb) {
-        fs.readFile(path, cb);
+// What Cache.list and Cache.inspect tell of an entry
+function describeEntry(fileInfo) {
+    var meta = fileInfo.meta || {};
+    var size = 0;
+    Object.keys(fileInfo.variants).forEach(function(encoding) {
+        size += fileInfo.variants[encoding].stats.size;
+    });
+
+    var state = !fileInfo.expired? 'fresh' : (fileInfo.staleWhileRevalidate || fileInfo.staleIfError)? 'stale' : 'expired';
+    return {
+        key: fileInfo.fileName,
+        size: size,
+        length: meta.length,
+        type: meta.type,
+        created: meta.created || fileInfo.stats.mtime.getTime(),
+        expires: fileInfo.expires,
+        state: state,
+        encoding: fileInfo.encoding,
+        encodings: Object.keys(fileInfo.variants),
+        tags: meta.tags || []
     };
 }
-function fileExists(path) {
-    return function(cb) {
-        fs.exists(path, function(exists) {
-            cb(void 0, exists);
-        });
+
+// What Cache.list and Cache.inspect tell of an entry whose responses vary (on vary),
+//  from what they tell of its variants: as fresh as its freshest one
+function describeVarying(fileName, vary, variants) {
+    var states = ['expired', 'stale', 'fresh'];
+    var entry = {
+        key: fileName,
+        size: 0,
+        created: variants[0].created,
+        expires: variants[0].expires,
+        state: 'expired',
+        encodings: [],
+        tags: [],
+        vary: vary,
+        variants: variants
     };
+    variants.forEach(function(variant) {
+        entry.size += variant.size;
+        entry.created = Math.min(entry.created, variant.created);
+        entry.expires = Math.max(entry.expires, variant.expires);
+        if (states.indexOf(variant.state) > states.indexOf(entry.state)) entry.state = variant.state;
+        variant.encodings.forEach(function(encoding) {
+            if (entry.encodings.indexOf(encoding) === -1) entry.encodings.push(encoding);
+        });
+        variant.tags.forEach(function(tag) {
+            if (entry.tags.indexOf(tag) === -1) entry.tags.push(tag);
+        });
+    });
+    return entry;
 }
-function fileStat(path) {
-    return function(cb) {
-        fs.stat(path, cb);
-    };
+
+// The stores of every middleware created
+var stores = [];
+
+// The sweepers of every middleware limiting its cache
+var sweepers = [];
+
+// Run fn with a store, given a folder or store, or else every middleware's store
+function* forEachStore(store, fn) {
+    if (typeof store === 'string') store = new FileStore({folder: store});
+
+    var targets = store? [store] : stores.slice();
+    for (var i=0; i<targets.length; i++) {
+        yield fn(targets[i]);
+    }
 }
 
-//Thunkify gzip/gunzip
-function gzip(buf) {
-    return function(cb) {
-        zlib.gzip(buf, cb);
-    };
+// Remove a cache entry (and its variants, if its responses vary), and forget about it
+function* delEntry(store, fileName) {
+    var meta = yield entries.meta(store, fileName);
+    if (meta && meta.vary) {
+        var fileNames = yield entries.list(store);
+        for (var i=0; i<fileNames.length; i++) {
+            if (fileNames[i].indexOf(fileName + '~') === 0) yield delEntry(store, fileNames[i]);
+        }
+    }
+
+    yield entries.del(store, fileName);
+    sweepers.forEach(function(sweeper) {
+        if (isSameStore(sweeper.store, store)) sweeper.remove(fileName);
+    });
 }
 
-function gunzip(buf) {
-    return function(cb) {
-        zlib.gunzip(buf, cb);
-    };
+// Whether two stores are the same, or FileStores of the same folder (e.g. Cache.admin's)
+function isSameStore(a, b) {
+    if (a === b) return true;
+    return (a instanceof FileStore) && (b instanceof FileStore) && path.resolve(a.folder) === path.resolve(b.folder);
 }
 
+// Send an existing cache, if next is given and we're delegating
+//  downstream middleware are run with it. Returns false if it
+//  couldn't be read (the response is left as it was).
+function* sendCache(ctx, next, fileInfo) {
+    var options = ctx.cacheOptions;
+
+    var meta = fileInfo.meta;
+
+    // Get the header and file cache stats
+    ctx.vary('Accept-Encoding');
+    if (meta && meta.vary) meta.vary.forEach(function(field) {
+        ctx.vary(field);
+    });
+    var encoding = ctx.acceptsEncodings(options.encodings.concat('identity')) || 'identity';
+    var lastModified = new Date(fileInfo.stats.mtime.getTime());
+    var ifNoneMatch = ctx.get('If-None-Match');
+    var ifModifiedSince = new Date(ctx.get('If-Modified-Since'));
+    var expires = new Date(fileInfo.expires);
+
+    // Drop the milliseconds because ifModifiedSince inherently does
+    lastModified.setMilliseconds(0);
+
+    // Check if we need to send the data (or if it's already cached client-side),
+    //  If-None-Match takes precedence over If-Modified-Since
+    var notModified = ifNoneMatch?
+        matchesETag(ifNoneMatch, meta && meta.etag) :
+        (ifModifiedSince.getTime() >= lastModified.getTime());
+    if (notModified) {
+        setCacheControl(ctx, meta? meta.created : fileInfo.stats.mtime.getTime(), fileInfo.expires);
+        if (meta && meta.etag) ctx.set('ETag', meta.etag);
+        ctx.status = 304;
+        ctx.set('Last-Modified', lastModified.toUTCString());
+        ctx.set('Expires', expires.toUTCString());
+        return true;
+    }
+
+    // Whether what's stored can be sent as it is, or must be loaded (and sent as what it's loaded as)
+    var serializer = findSerializer(options, meta);
+    var direct = !options.delegate && serializer && serializer.raw;
+
+    // Byte ranges of the uncompressed cache can be sent,
+    //  if we know its size (a compressed one's is in its metadata)
+    var size = fileInfo.variants.identity? fileInfo.variants.identity.stats.size : (meta && meta.length);
+    var rangeable = direct && (size !== undefined && size !== null) && (!meta || (meta.status === 200 && !meta.encryption));
+    var range = null;
+    if (rangeable && ctx.get('Range') && matchesIfRange(ctx, fileInfo)) range = parseRange(ctx.get('Range'), size);
+
+    // Whether to send it compressed, creating the encoding from another if it's missing
+    var compressed = direct && (encoding !== 'identity') && (fileInfo.variants[encoding] || fileInfo.encoding !== 'identity');
 
+    // HEAD is answered from the metadata (and file stats) alone
+    if (ctx.method === 'HEAD' && direct) {
+        var variant = fileInfo.variants[compressed? encoding : 'identity'];
+        var length = variant? variant.stats.size : (compressed? null : size);
 
+        replay();
+        if (!meta) ctx.status = 200;
+        if (compressed) {
+            ctx.set('Content-Encoding', encoding);
+            ctx.compress = false;
+        }
+        ctx.type = (meta && meta.type) || options.type;
+        if (length !== undefined && length !== null) ctx.length = length;
+        return true;
+    }
 
+    // Read the cache before touching the response, so if it can't be
+    //  read the response can still be computed as if there was none
+    var body = null;
+    try {
+        // If we're not delegating we can stream directly to client
+        if (!direct) {
+            body = yield Cache.get(ctx);
+        }
+        else if (range === -1) {
+            body = '';
+        }
+        else if (range) {
+            body = yield openStream(yield streamRange(options.store, fileInfo, range));
+        }
+        else if (compressed) {
+            body = fileInfo.variants[encoding]?
+                yield openStream(yield readStream(options, fileInfo, encoding)) :
+                yield createVariant(options, fileInfo, encoding);
+        }
+        else if (fileInfo.variants.identity) {
+            body = yield openStream(yield readStream(options, fileInfo, 'identity'));
+        }
+        // Otherwise it needs to be loaded into memory uncompressed
+        else {
+            body = yield Cache.get(ctx);
+        }
+    }
+    catch (err) {
+        fail(options, err, 'read', fileInfo.fileName, ctx);
+        body = null;
+    }
 
+    if (body === null || body === undefined) {
+        yield discardRead(options, fileInfo, ctx);
+        return false;
+    }
+
+    // Errors once it's being sent can't be helped, but the next request won't get it
+    if (isStream(body)) body.on('error', function(err) {
+        fail(options, err, 'read', fileInfo.fileName, ctx);
+        co(discardRead(options, fileInfo, ctx)).catch(function(err) {
+            fail(options, err, 'delete', fileInfo.fileName, ctx);
+        });
+    });
+
+    replay();
+
+    if (range === -1) {
+        ctx.status = 416;
+        ctx.set('Content-Range', 'bytes */' + size);
+        return true;
+    }
+    else if (range) {
+        ctx.status = 206;
+        ctx.set('Content-Range', 'bytes ' + range.start + '-' + range.end + '/' + size);
+        ctx.body = body;
+        ctx.length = range.end - range.start + 1;
+
+        // Prevent compression by other middleware
+        ctx.compress = false;
+    }
+    else if (compressed) {
+        ctx.set('Content-Encoding', encoding);
+        ctx.body = body;
+
+        // Prevent compression by other middleware
+        ctx.compress = false;
+    }
+    else {
+        // Store the cache directly in the body
+        ctx.body = body;
+    }
+
+    // Set the type
+    if (!options.delegate) ctx.type = (meta && meta.type) || options.type;
+
+    if (next && options.delegate) {
+        // Let middleware down the line see the cache
+        yield next;
+    }
+    return true;
+
+    // Replay the original response's status and headers
+    function replay() {
+        setCacheControl(ctx, meta? meta.created : fileInfo.stats.mtime.getTime(), fileInfo.expires);
+        if (meta && meta.etag) ctx.set('ETag', meta.etag);
+
+        if (meta) {
+            ctx.status = meta.status;
+            ctx.set(meta.headers);
+        }
+
+        if (!options.delegate) {
+            ctx.set('Last-Modified', lastModified.toUTCString());
+            ctx.set('Expires', expires.toUTCString());
+            if (rangeable) ctx.set('Accept-Ranges', 'bytes');
+        }
+    }
+}
+
+// Wait for a stream to be readable, so failing to open it can still be handled
+function openStream(readable) {
+    return function(cb) {
+        if (!readable) return cb(void 0, null);
+
+        readable.on('readable', done);
+        readable.on('end', done);
+        readable.on('error', done);
+        function done(err) {
+            readable.removeListener('readable', done);
+            readable.removeListener('end', done);
+            readable.removeListener('error', done);
+            cb(err, err? null : readable);
+        }
+    };
+}
+
+// Parse a Range header into {start, end} (inclusive) of size bytes,
+//  -1 if it can't be satisfied or null if it should be ignored
+//  (malformed, or more than one range which we don't send)
+function parseRange(header, size) {
+    var match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    var start, end;
+    // Suffix range, the last n bytes
+    if (match[1] === '') {
+        if (parseInt(match[2], 10) === 0) return -1;
+        start = Math.max(size - parseInt(match[2], 10), 0);
+        end = size - 1;
+    }
+    else {
+        start = parseInt(match[1], 10);
+        end = (match[2] === '')? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start >= size) return -1;
+    if (end < start) return null;
+    return {start: start, end: end};
+}
+
+// Stream an encoding of the cache as it's to be sent, verified and decrypted
+function* readStream(options, fileInfo, encoding) {
+    var name = fileInfo.variants[encoding].name;
+
+    // An encrypted one is only authenticated once it's decrypted to the end,
+    //  so it's decrypted whole before any of it is sent
+    if (getDecryption(options, fileInfo, encoding)) {
+        var data = yield options.store.get(name);
+        if (data === null) return null;
+        verifyChecksum(options, fileInfo, encoding, data);
+
+        var decrypted = new stream.PassThrough();
+        decrypted.end(decryptCache(options, fileInfo, encoding, data));
+        return decrypted;
+    }
+
+    return verifyStream(options, fileInfo, encoding, yield options.store.stream(name));
+}
+
+// Throws if the checksum saved along with an encoding of the cache doesn't match its data
+function verifyChecksum(options, fileInfo, encoding, data) {
+    var expected = options.checksum && fileInfo.meta && fileInfo.meta.checksums && fileInfo.meta.checksums[encoding];
+    if (expected) checksum.verify(data, expected);
+}
+
+// Verify the checksum of a stream of an encoding of the cache as it's read,
+//  it errors at the end (instead of sending the last chunk) if it doesn't match
+function verifyStream(options, fileInfo, encoding, readable) {
+    var expected = options.checksum && fileInfo.meta && fileInfo.meta.checksums && fileInfo.meta.checksums[encoding];
+    if (!expected || !readable) return readable;
+
+    var verify = checksum.createVerify(expected);
+    readable.on('error', function(err) {
+        verify.emit('error', err);
+    });
+    return readable.pipe(verify);
+}
+
+// The key to encrypt the cache with (and its id), null if it's not to be
+function getEncryptionKey(options) {
+    if (!options.encryption) return null;
+
+    var current = options.encryption();
+    if (!current) throw new Error("No key to encrypt the cache with");
+    return current;
+}
+
+// The key and {iv, tag} to decrypt an encoding of the cache with, null if it's not encrypted.
+//  Throws if it is but we don't have its key (any more).
+function getDecryption(options, fileInfo, encoding) {
+    var encrypted = fileInfo.meta && fileInfo.meta.encryption;
+    if (!encrypted) return null;
+
+    var found = options.encryption && options.encryption(encrypted.keyId);
+    if (!found) throw new Error("Key "+encrypted.keyId+" the cache was encrypted with is unknown");
+    if (!encrypted.files[encoding]) throw new Error("Encoding "+encoding+" of the cache was not encrypted");
+    return {key: found.key, params: encrypted.files[encoding]};
+}
+
+// Decrypt an encoding of the cache, if it's encrypted
+function decryptCache(options, fileInfo, encoding, data) {
+    var decryption = getDecryption(options, fileInfo, encoding);
+    return decryption? encryption.decrypt(decryption.key, data, decryption.params) : data;
+}
+
+// Stream a byte range of the uncompressed cache (which isn't verified, only part of it is read)
+function* streamRange(store, fileInfo, range) {
+    if (fileInfo.variants.identity) return yield store.stream(fileInfo.variants.identity.name, range);
+
+    var stream = yield store.stream(fileInfo.name);
+    if (!stream) return null;
+
+    var decompress = encodings.createDecompress(fileInfo.encoding);
+    var slice = sliceStream(range.start, range.end);
+    stream.on('error', forward);
+    decompress.on('error', forward);
+    return stream.pipe(decompress).pipe(slice);
+
+    function forward(err) {
+        slice.emit('error', err);
+    }
+}
+
+// Transform only letting through bytes start to end (inclusive)
+function sliceStream(start, end) {
+    var position = 0;
+    var slice = new stream.Transform();
+    slice._transform = function(chunk, encoding, cb) {
+        var from = Math.max(start - position, 0);
+        var to = Math.min(end + 1 - position, chunk.length);
+        position += chunk.length;
+
+        if (from < to) this.push(chunk.slice(from, to));
+        cb();
+    };
+    return slice;
+}
+
+// Create a missing encoding of the cache from the one stored and write it back,
+//  with the same modified time so it doesn't extend how long the cache is valid
+function* createVariant(options, fileInfo, encoding) {
+    var cache = yield options.store.get(fileInfo.name);
+    if (!cache) return null;
+    verifyChecksum(options, fileInfo, fileInfo.encoding, cache);
+    cache = decryptCache(options, fileInfo, fileInfo.encoding, cache);
+
+    debug("Creating "+encoding+" encoding of "+fileInfo.name);
+    cache = yield encodings.decompress(fileInfo.encoding, cache);
+    cache = yield encodings.compress(encoding, cache, options.compressionLevels[encoding]);
+
+    // An encrypted one can't be written back, its IV and tag would have to be in the metadata
+    if (fileInfo.meta && fileInfo.meta.encryption) return cache;
+
+    var name = fileInfo.fileName + encodings.extension(encoding);
+    yield options.store.put(name, cache, {mtime: fileInfo.stats.mtime});
+    return cache;
+}
+
+// Report a failure reading or writing the cache, which is otherwise
+//  handled as if there was no cache (or it wasn't to be saved)
+function fail(options, err, operation, fileName, ctx) {
+    debug("Unable to "+operation+" cache "+fileName, err);
+
+    var info = {key: fileName, operation: operation};
+    if (options.emitter && options.emitter.listeners('error').length) options.emitter.emit('error', err, info);
+    if (options.onError) {
+        try {
+            options.onError(err, info, ctx);
+        }
+        catch (e) {
+            debug("onError failed", e);
+        }
+    }
+}
+
+// Remove what's left of a cache that couldn't be read (or written),
+//  so it's recomputed next time
+function* discard(options, fileName, ctx) {
+    try {
+        yield delEntry(options.store, fileName);
+    }
+    catch (err) {
+        fail(options, err, 'delete', fileName, ctx);
+    }
+}
+
+// Remove a cache that couldn't be read, unless what was read isn't what's
+//  there any more: it was rewritten in the meantime, rather than corrupt
+function* discardRead(options, fileInfo, ctx) {
+    var found = Object.keys(fileInfo.variants);
+    try {
+        for (var i=0; i<found.length; i++) {
+            var variant = fileInfo.variants[found[i]];
+            var stats = yield options.store.stat(variant.name);
+            if (stats && stats.mtime.getTime() !== variant.stats.mtime.getTime()) {
+                debug(fileInfo.fileName+" was rewritten while it was read, not removing it");
+                return;
+            }
+        }
+    }
+    catch (err) {
+        fail(options, err, 'delete', fileInfo.fileName, ctx);
+        return;
+    }
+    yield discard(options, fileInfo.fileName, ctx);
+}
+
+// Mark the response as being sent from an expired cache
+function setStale(ctx, warning) {
+    ctx.set('Warning', warning);
+    ctx.set('X-Cache', 'STALE');
+}
+
+// Tell for how long the cache may still be kept (and how old it already is) as of now
+function setCacheControl(ctx, created, expires, now) {
+    var options = ctx.cacheOptions;
+    now = now || Date.now();
+    var directives = [options.visibility, 'max-age=' + Math.max(Math.floor((expires - now)/1000), 0)];
+
+    if (options.sMaxAge !== undefined) {
+        directives.push('s-maxage=' + Math.floor(options.sMaxAge/1000));
+    }
+
+    if (options.staleWhileRevalidate) {
+        directives.push('stale-while-revalidate=' + Math.floor(options.staleWhileRevalidate/1000));
+    }
+    if (options.staleIfError) {
+        directives.push('stale-if-error=' + Math.floor(options.staleIfError/1000));
+    }
+
+    ctx.set('Cache-Control', directives.join(', '));
+    ctx.set('Age', String(Math.max(Math.floor((now - created)/1000), 0)));
+}
+
+// The request's no-cache and only-if-cached directives, if we're to follow them
+function getRequestDirectives(ctx) {
+    var options = ctx.cacheOptions;
+    var enabled = (ctx.cacheRequestDirectives === undefined)? options.requestDirectives : ctx.cacheRequestDirectives;
+    if (!enabled || ctx.cacheRevalidate) return {noCache: false, onlyIfCached: false};
+
+    var header = ctx.get('Cache-Control');
+    var cacheControl = parseCacheControl(header);
+    return {
+        noCache: !!(cacheControl['no-cache'] || cacheControl['max-age'] === '0' ||
+            (!header && /\bno-cache\b/i.test(ctx.get('Pragma')))),
+        onlyIfCached: !!cacheControl['only-if-cached']
+    };
+}
+
+// Treat a cache as expired (and not to be sent stale) even though it isn't
+function forceExpired(info) {
+    info.expired = true;
+    info.staleWhileRevalidate = false;
+}
+
+// Recompute the cache in the background by running a copy of the request
+//  through the app, with the cache middleware forced to treat it as expired
+//  (even if it isn't, with refresh)
+function revalidate(ctx, refresh) {
+    var app = ctx.app;
+    var bg = createBackgroundContext(app, ctx.req);
+    bg.cacheRevalidate = true;
+    bg.cacheRefresh = refresh;
+
+    debug("Revalidating "+ctx.cacheInfo.name+" in the background");
+
+    compat.run(app, bg).catch(function(err) {
+        debug("Background revalidation failed", err);
+        if (app.listeners('error').length) app.emit('error', err, bg);
+    });
+}
+
+// A context of the app for req, whose response is never sent
+function createBackgroundContext(app, req) {
+    var bg = app.createContext(req, new http.ServerResponse(req));
+    bg.respond = false;
+    return bg;
+}
+
+// Whether a hit is within the last refreshAhead fraction of the time the cache is allowed
+function isDueForRefresh(fileInfo, options) {
+    if (!options.refreshAhead) return false;
+
+    var created = fileInfo.meta? fileInfo.meta.created : fileInfo.stats.mtime.getTime();
+    return (fileInfo.expires - Date.now()) <= (fileInfo.expires - created) * options.refreshAhead;
+}
+
+// Throws if the cache is corrupt (can't be uncompressed or parsed)
+function* loadCacheUncompressed(options, cache, fileInfo, encoding) {
+    // Uncompress if compressed
+    cache = yield encodings.decompress(encoding, cache);
+
+    var serializer = findSerializer(options, fileInfo.meta);
+    if (!serializer) throw new Error("Serializer "+fileInfo.meta.serializer+" of the cache is unknown");
+
+    return serializer.deserialize(cache);
+}
+
+// The serializer to store the response with
+function getSerializer(ctx) {
+    var serializer = ctx.cacheOptions.serializer;
+
+    // Streams are stored as they're sent
+    if (isStream(ctx.body) && !serializer.raw) serializer = serializers.get('json');
+
+    // JSON is only stored as such if it's sent as JSON, anything else as it is
+    if (serializer.name === 'json' && !isJSONBody(ctx.body) && !isJSONType(ctx.response.get('Content-Type'))) {
+        serializer = serializers.get('buffer');
+    }
+    return serializer;
+}
+
+// The serializer a cache was stored with, or null if it's unknown
+function findSerializer(options, meta) {
+    // Older caches (or those without metadata) were JSON if sent as JSON
+    if (!meta || !meta.serializer) {
+        var json = meta? isJSONType(meta.type) : options.type === 'json';
+        return serializers.get(json? 'json' : 'buffer');
+    }
+    return serializers.find(meta.serializer, options.serializer);
+}
+
+// Save the cache
+function* saveCache(ctx, fileName) {
+    var options = ctx.cacheOptions;
+
+    // Serialize the body, and send what's stored if it's what would be sent anyway
+    var serializer = getSerializer(ctx);
+    var body = serializer.serialize(ctx.body, ctx);
+    if (serializer.raw) ctx.body = body;
+
+    var created = Date.now();
+    var checksums = {};
+    var mtimes = {};
+    var length = Buffer.byteLength(body);
+
+    // Encrypted once compressed
+    var key = getEncryptionKey(options);
+    var encrypted = key? {keyId: key.id, algorithm: encryption.algorithm, files: {}} : null;
+    function* put(encoding, data) {
+        var name = fileName + encodings.extension(encoding);
+        if (key) {
+            var sealed = encryption.encrypt(key.key, data);
+            data = sealed.data;
+            encrypted.files[encoding] = sealed.params;
+        }
+
+        debug("Attempting to save "+name);
+        yield options.store.put(name, data);
+        if (options.checksum) checksums[encoding] = checksum.of(data, options.checksum);
+
+        var stats = yield options.store.stat(name);
+        if (stats) mtimes[encoding] = stats.mtime.getTime();
+    }
+
+    // If we should compress and save (once per encoding)
+    if (options.encodings.length && (length > options.gzipThreshold)) {
+        for (var i=0; i<options.encodings.length; i++) {
+            var encoding = options.encodings[i];
+            yield put(encoding, yield encodings.compress(encoding, body, options.compressionLevels[encoding]));
+        }
+    }
+    // Or just save
+    else {
+        debug('compression disabled or below threshold');
+        yield put('identity', body);
+    }
+
+    var meta = getMeta(ctx, created, length, getETag(crypto.createHash('sha1').update(body), length), checksums, mtimes, encrypted);
+    yield options.store.put(fileName+'.meta', JSON.stringify(meta));
+    return meta;
+}
+
+// Save a stream body as it's sent to the client. It's only committed to the
+//  cache once the stream has ended, not if it errors or the client aborts.
+function saveStream(ctx, fileName, cb) {
+    var options = ctx.cacheOptions;
+    var source = ctx.body;
+    var length = ctx.response.length;
+    var created = Date.now();
+
+    var hash = crypto.createHash('sha1');
+    var size = 0;
+    var writers = [];
+    var committed = {}; // encoding -> name
+    var checksums = {};
+    var done = false;
+
+    // Encrypted once compressed
+    try {
+        var key = getEncryptionKey(options);
+    }
+    catch (err) {
+        return cb(err);
+    }
+    var encrypted = key? {keyId: key.id, algorithm: encryption.algorithm, files: {}} : null;
+
+    // Send one branch to the client, unless nothing will be sent (e.g. a background revalidation)
+    //  or read (HEAD), it'd hold up the others once full
+    if (ctx.respond !== false && ctx.method !== 'HEAD') {
+        var client = new stream.PassThrough();
+        source.pipe(client);
+        ctx.body = client;
+        if (length !== undefined) ctx.length = length;
+
+        var finished = false;
+        ctx.res.once('finish', function() {
+            finished = true;
+        });
+        ctx.res.once('close', function() {
+            if (finished) return;
+            abort(new Error("Client aborted"));
+            if (source.destroy) source.destroy();
+        });
+    }
+
+    // And one (per encoding) to the store
+    if (options.encodings.length && !(length <= options.gzipThreshold)) {
+        options.encodings.forEach(function(encoding) {
+            var compression = encodings.createCompress(encoding, options.compressionLevels[encoding]);
+            compression.on('error', abort);
+            write(encoding, source.pipe(compression));
+        });
+    }
+    else {
+        debug('compression disabled or below threshold');
+        write('identity', source);
+    }
+
+    source.on('data', function(chunk) {
+        hash.update(chunk);
+        size += chunk.length;
+    });
+    source.on('error', function(err) {
+        if (client) client.destroy(err);
+        abort(err);
+    });
+
+    // Write an encoding of the source, read from readable
+    function write(encoding, readable) {
+        var name = fileName + encodings.extension(encoding);
+        var writer = options.store.createWriteStream(name);
+        writers.push(writer);
+
+        if (key) {
+            var cipher = encryption.createEncrypt(key.key);
+            cipher.on('error', abort);
+            readable = readable.pipe(cipher);
+        }
+
+        if (options.checksum) {
+            var sum = checksum.create(options.checksum);
+            readable.on('data', function(chunk) {
+                sum.update(chunk);
+            });
+        }
+
+        writer.on('error', abort);
+        writer.on('finish', function() {
+            if (sum) checksums[encoding] = sum.digest();
+            if (cipher) encrypted.files[encoding] = cipher.params();
+            committed[encoding] = name;
+            if (Object.keys(committed).length === writers.length) commit();
+        });
+        readable.pipe(writer);
+    }
+
+    function commit() {
+        if (done) return;
+        done = true;
+
+        var meta = null;
+        co(function*() {
+            var mtimes = {};
+            var written = Object.keys(committed);
+            for (var i=0; i<written.length; i++) {
+                var stats = yield options.store.stat(committed[written[i]]);
+                if (stats) mtimes[written[i]] = stats.mtime.getTime();
+            }
+
+            meta = getMeta(ctx, created, size, getETag(hash, size), checksums, mtimes, encrypted);
+            yield options.store.put(fileName+'.meta', JSON.stringify(meta));
+        }).then(function() {
+            cb(null, meta);
+        }, cb);
+    }
+
+    // Discard what was (or is still being) written
+    function abort(err) {
+        if (done) return;
+        done = true;
+
+        debug("Aborting save of "+fileName);
+        writers.forEach(function(writer) {
+            writer.abort();
+        });
+        co(function*() {
+            var written = Object.keys(committed);
+            for (var i=0; i<written.length; i++) {
+                yield options.store.del(committed[written[i]]);
+            }
+        }).then(function() {
+            cb(err);
+        }, cb);
+    }
+}
+
+// The metadata stored alongside the cache, to replay the original response
+function getMeta(ctx, created, length, etag, checksums, mtimes, encrypted) {
+    var options = ctx.cacheOptions;
+    var headers = {};
+    var vary = getVary(ctx);
+
+    options.headers.forEach(function(field) {
+        var value = ctx.response.get(field);
+        if (value) headers[field] = value;
+    });
+
+    // A redirect isn't one without where to
+    var location = ctx.response.get('Location');
+    if (location && ctx.status >= 300 && ctx.status < 400) headers.location = location;
+
+    return {
+        status: ctx.status,
+        headers: headers,
+        type: ctx.response.get('Content-Type'),
+        length: length,
+        etag: etag,
+        tags: [].concat(ctx.cacheTags || []),
+        checksums: checksums,
+        mtimes: mtimes,
+        serializer: getSerializer(ctx).name,
+        vary: vary.length? vary : undefined,
+        encryption: encrypted || undefined,
+        created: created,
+        expires: created + ctx.cacheTime
+    };
+}
+
+// Time in milliseconds a response may be cached for, 0 if it mustn't be:
+//  what downstream set, else (if enabled) what its headers say, else the default
+function getCacheTime(ctx) {
+    var options = ctx.cacheOptions;
+    var cacheTime = (typeof options.statuses[ctx.status] === 'number')? options.statuses[ctx.status] : options.cacheTime;
+
+    if (typeof ctx.cacheTime === 'number') return Math.max(ctx.cacheTime, 0);
+    if (!options.cacheControl) return cacheTime;
+
+    var cacheControl = parseCacheControl(ctx.response.get('Cache-Control'));
+    var maxAge = cacheControl['s-maxage'] || cacheControl['max-age'];
+    if (maxAge !== undefined) return Math.max(parseInt(maxAge, 10) || 0, 0) * 1000;
+
+    var expires = ctx.response.get('Expires');
+    if (expires) return Math.max((Date.parse(expires) || 0) - Date.now(), 0);
+
+    return cacheTime;
+}
+
+// Whether downstream's Cache-Control keeps the response from shared caches (private),
+//  or from being stored (no-store) or sent without revalidating it (no-cache)
+function isPrivate(ctx) {
+    var cacheControl = parseCacheControl(ctx.response.get('Cache-Control'));
+    return !!(cacheControl['private'] || cacheControl['no-store'] || cacheControl['no-cache']);
+}
+
+// Statuses to cache and their time (null for cacheTime), from [status] or {status: time|true|false}
+function getStatuses(statuses) {
+    var times = {};
+    if (Array.isArray(statuses)) {
+        statuses.forEach(function(status) {
+            times[status] = null;
+        });
+        return times;
+    }
+
+    Object.keys(statuses).forEach(function(status) {
+        if (statuses[status] === false) return;
+        times[status] = (typeof statuses[status] === 'number')? statuses[status] : null;
+    });
+    return times;
+}
+
+// Directives of a Cache-Control header, e.g. {'max-age': '60', 'no-store': true}
+function parseCacheControl(header) {
+    var directives = {};
+    (header || '').split(',').forEach(function(directive) {
+        var parts = directive.trim().split('=');
+        if (!parts[0]) return;
+
+        directives[parts[0].toLowerCase()] = (parts.length > 1)? parts[1].replace(/^"|"$/g, '') : true;
+    });
+    return directives;
+}
+
+// Strong ETag from the (sha1) content hash
+function getETag(hash, length) {
+    return '"' + length.toString(16) + '-' + hash.digest('base64').substring(0, 27) + '"';
+}
+
+// Whether an If-None-Match header matches etag
+function matchesETag(header, etag) {
+    if (!etag) return false;
+    if (header.trim() === '*') return true;
+
+    return header.split(',').some(function(tag) {
+        return tag.trim().replace(/^W\//, '') === etag;
+    });
+}
+
+// Whether a Range request may be honored, when it has an If-Range
+//  the cache must still match it (its ETag, or exactly its Last-Modified date)
+function matchesIfRange(ctx, fileInfo) {
+    var ifRange = ctx.get('If-Range');
+    if (!ifRange) return true;
+
+    var etag = fileInfo.meta && fileInfo.meta.etag;
+    if (/^(W\/)?"/.test(ifRange)) return ifRange === etag; // weak never matches
+
+    var lastModified = new Date(fileInfo.stats.mtime.getTime());
+    lastModified.setMilliseconds(0);
+    return new Date(ifRange).getTime() === lastModified.getTime();
+}
+
+// Body koa would send as JSON
+function isJSONBody(body) {
+    return body && typeof body === 'object' && !Buffer.isBuffer(body) && !isStream(body);
+}
+
+function isStream(body) {
+    return body && typeof body.pipe === 'function';
+}
+
+function isJSONType(type) {
+    return /[\/+]json\b/.test(type || '');
+}
+
+
+// Determine if cache has expired (or doesn't exist)
+function* getFileInfo(fileName, options) {
+    var info = missingFileInfo(fileName);
+
+    // Check the plain and every compressed file name, the newest is the current cache
+    var found = {};
+    var newest = null;
+    var candidates = ['identity'].concat(options.encodings);
+    for (var i=0; i<candidates.length; i++) {
+        var stats = yield options.store.stat(fileName + encodings.extension(candidates[i]));
+        if (!stats) continue;
+
+        found[candidates[i]] = stats;
+        if (!newest || stats.mtime.getTime() > found[newest].mtime.getTime()) newest = candidates[i];
+    }
+
+    // If any exists, save its stats and if it has expired
+    if (newest) {
+        info.exists = true;
+        info.encoding = newest;
+        info.name = fileName + encodings.extension(newest);
+        info.stats = found[newest];
+        info.meta = yield entries.meta(options.store, fileName);
+
+        // A body other than the one its metadata was saved with (to the millisecond, a store may round it)
+        //  is being rewritten as the metadata is written last, it's as good as missing until then rather than corrupt
+        var mtimes = info.meta && info.meta.mtimes;
+        var rewriting = mtimes && Object.keys(found).some(function(encoding) {
+            return mtimes[encoding] !== undefined && Math.abs(found[encoding].mtime.getTime() - mtimes[encoding]) > 1;
+        });
+        if (rewriting) {
+            debug(fileName+" is being rewritten");
+            return missingFileInfo(fileName);
+        }
+
+        // The other encodings written along with it (left overs from an older cache are ignored)
+        var since = info.meta? info.meta.created : info.stats.mtime.getTime();
+        since = Math.floor(since/1000)*1000;
+        Object.keys(found).forEach(function(encoding) {
+            if (encoding !== newest && found[encoding].mtime.getTime() < since) return;
+            info.variants[encoding] = {name: fileName + encodings.extension(encoding), stats: found[encoding]};
+        });
+
+        // When it expires, as saved along with it (or by the default cacheTime)
+        var expires = (info.meta && info.meta.expires) || info.stats.mtime.getTime() + options.cacheTime;
+        info.expires = expires;
+        info.expired = (Date.now() > expires);
+
+        // Whether it may still be used while expired
+        info.staleWhileRevalidate = info.expired && (Date.now() <= expires + options.staleWhileRevalidate);
+        info.staleIfError = info.expired && (Date.now() <= expires + options.staleIfError);
+    }
+    return info;
+}
+
+// File info of a cache that doesn't exist
+function missingFileInfo(fileName) {
+    return {name:fileName, fileName:fileName, encoding:'identity', stats:null, meta:null, variants:{},
+        expires: null, expired: true, exists: false, staleWhileRevalidate: false, staleIfError: false};
+}
+
+// Requests currently recomputing a cache file in this process, per store
+//  and keyed by file name, holding the callbacks of those waiting on it
+var inflight = new WeakMap();
+
+function getInflight(store) {
+    var waiting = inflight.get(store);
+    if (!waiting) {
+        waiting = {};
+        inflight.set(store, waiting);
+    }
+    return waiting;
+}
+
+// How often to check if another process has released its lock
+var LOCK_POLL_INTERVAL = 50;
+
+// Wait until we are the only one recomputing fileName, or until someone else
+//  has written a fresh cache. Returns {info, lock}, the up to date file info and
+//  if it is still expired the lock we now hold, which the caller must release().
+//  With force, a fresh cache found once holding the lock is recomputed anyway.
+//  Throws if whoever is on it takes longer than lockTimeout.
+function* acquire(fileName, options, force) {
+    var waiting = getInflight(options.store);
+    var deadline = Date.now() + options.lockTimeout;
+    var info;
+    while (true) {
+        // Someone in this process is already on it, wait and check again
+        if (waiting[fileName]) {
+            debug("Waiting on in-flight request for "+fileName);
+            yield waitInflight(waiting, fileName, deadline - Date.now());
+            info = yield getFileInfo(fileName, options);
+            if (!info.expired) return {info: info, lock: null};
+            continue;
+        }
+        waiting[fileName] = [];
+
+        try {
+            // Then make sure no other process is on it
+            var token;
+            while (!(token = yield options.store.lock(fileName))) {
+                if (Date.now() > deadline) throw new Error("Timed out waiting on the lock of "+fileName);
+                yield sleep(LOCK_POLL_INTERVAL);
+            }
+            info = yield getFileInfo(fileName, options);
+        }
+        catch (err) {
+            wakeInflight(waiting, fileName);
+            throw err;
+        }
+        var lock = hold(fileName, token, options);
+
+        // Another process wrote the cache while we were waiting
+        //  (unless we're to recompute it anyway)
+        if (force && info.exists) forceExpired(info);
+        if (!info.expired) {
+            yield release(lock, options);
+            return {info: info, lock: null};
+        }
+        return {info: info, lock: lock};
+    }
+}
+
+// The lock of fileName we hold, refreshed every so often so
+//  it isn't taken over (as abandoned) however long recomputing takes
+function hold(fileName, token, options) {
+    var lock = {name: fileName, token: token, timer: null};
+    if (!options.store.refresh) return lock;
+
+    lock.timer = setInterval(function() {
+        co(function*() {
+            if (!(yield options.store.refresh(fileName, token))) debug("Lost the lock of "+fileName);
+        }).catch(function(err) {
+            fail(options, err, 'lock', fileName);
+        });
+    }, options.lockTimeout/3);
+    if (lock.timer.unref) lock.timer.unref();
+    return lock;
+}
+
+// Let go of a lock and wake up anyone waiting on it,
+//  unless it's parked (they're woken up with wakeInflight() later)
+function* release(lock, options) {
+    clearInterval(lock.timer);
+    try {
+        yield options.store.unlock(lock.name, lock.token);
+    }
+    finally {
+        if (!lock.parked) wakeInflight(getInflight(options.store), lock.name);
+    }
+}
+
+// Wait to be woken up, or fail after timeout milliseconds
+function waitInflight(waiting, fileName, timeout) {
+    return function(cb) {
+        var callbacks = waiting[fileName];
+        var timer = setTimeout(function() {
+            callbacks.splice(callbacks.indexOf(woken), 1);
+            cb(new Error("Timed out waiting on the in-flight request for "+fileName));
+        }, Math.max(timeout, 0));
+
+        function woken() {
+            clearTimeout(timer);
+            cb();
+        }
+        callbacks.push(woken);
+    };
+}
+
+function wakeInflight(waiting, fileName) {
+    var callbacks = waiting[fileName] || [];
+    delete waiting[fileName];
+    callbacks.forEach(function(cb) {
+        cb();
+    });
+}
+
+function getFileName(ctx, options) {
+    if (options.key) return Key.validatePath(options.key(ctx), 'key');
+
+    var name = '';
+    var fileNameHash = options.fileNameHash;
+
+    for (var i=0; i<fileNameHash.length; i++) {
+        name += Key.validate(ctx[fileNameHash[i]], fileNameHash[i]);
+        if (i !== fileNameHash.length-1) name += options.fileNameHashSep;
+    }
+
+    return Key.validate(name, fileNameHash.join(options.fileNameHashSep));
+}
+
+// Request headers the response varies on, sorted (Accept-Encoding aside, every encoding is stored anyway)
+function getVary(ctx) {
+    var vary = [];
+    (ctx.response.get('Vary') || '').split(',').forEach(function(field) {
+        field = field.trim().toLowerCase();
+        if (field && field !== 'accept-encoding' && vary.indexOf(field) === -1) vary.push(field);
+    });
+    return vary.sort();
+}
+
+// Request headers whose values are case-insensitive lists of tokens, normalized so
+//  they share a variant however they're written (others, e.g. Cookie, are taken as they are)
+var CASE_INSENSITIVE_HEADERS = ['accept', 'accept-charset', 'accept-language'];
+
+// File name of the variant of an entry for the request, given what it varies on
+//  (the entry's own if nothing), by a hash of the values of those headers
+function getVariant(ctx, fileName, vary) {
+    if (!vary.length) return fileName;
+
+    var values = vary.map(function(field) {
+        var value = (ctx.get(field) || '').trim();
+        if (CASE_INSENSITIVE_HEADERS.indexOf(field) !== -1) {
+            value = value.toLowerCase().replace(/\s*,\s*/g, ',').replace(/\s+/g, ' ');
+        }
+        return field + ':' + value;
+    });
+    return fileName + '~' + crypto.createHash('sha1').update(values.join('\n')).digest('hex').substring(0, 16);
+}
+
+// File name of the variant for the request if the entry varies, as recorded in its metadata
+function* getVariantName(ctx, fileName, options) {
+    var meta = yield entries.meta(options.store, fileName);
+    return (meta && meta.vary)? getVariant(ctx, fileName, meta.vary) : null;
+}
+
+// Record what an entry varies on in its metadata, in place of what it had stored
+//  (its variants are stored apart)
+function* saveVary(options, fileName, vary) {
+    var meta = yield entries.meta(options.store, fileName);
+    if (meta && meta.vary && meta.vary.join() === vary.join()) return;
+
+    debug("Responses of "+fileName+" vary on "+vary.join(', '));
+    yield delEntry(options.store, fileName);
+    yield options.store.put(fileName + '.meta', JSON.stringify({vary: vary}));
+}
+
+function sleep(ms) {
+    return function(cb) {
+        setTimeout(cb, ms);
+    };
+}
@@ -0,0 +1,150 @@
+var debug = require('debug')('cache');
+var Key = require('./key');
+var compat = require('./compat');
+
+/**
+ * Admin routes to browse and purge a cache, under a prefix (e.g. /_cache).
+ * Every request under it has to be allowed by options.auth first.
+ *
+ *      GET     /entries[?prefix=]      Entries (as Cache.list describes them) and their totals
+ *      GET     /entries/<key>          An entry, with its metadata (and variants, if its responses vary)
+ *      GET     /entries/<key>/body     Content of an entry (or variant), uncompressed and with its type
+ *      DELETE  /entries/<key>          Remove an entry (along with its variants), or a variant
+ *      DELETE  /entries?prefix=        Remove every entry (or variant) whose key starts with prefix
+ *      POST    /purge                  Remove the expired entries
+ *
+ * @param {Function} Cache
+ * @param {Object} options see Cache.admin
+ * @returns {Middleware*}
+*/
+
+module.exports = function(Cache, options) {
+    options = options || {};
+    if (typeof options.auth !== 'function') throw new Error("Cache.admin needs an auth function");
+
+    var prefix = (options.prefix || '/_cache').replace(/\/$/, '');
+    options.store = options.store || new Cache.FileStore({folder: options.folder || "."});
+
+    var routes = {
+        'GET /entries': function*() {
+            var list = yield Cache.list(options);
+            if (this.query.prefix) list = list.filter(startsWith(this.query.prefix));
+
+            var total = {entries: list.length, size: 0, fresh: 0, stale: 0, expired: 0};
+            list.forEach(function(entry) {
+                total.size += entry.size;
+                total[entry.state]++;
+            });
+            this.body = {entries: list, total: total};
+        },
+
+        'DELETE /entries': function*() {
+            if (!this.query.prefix) return error(this, 400, "A prefix is needed to delete entries");
+
+            // Whole entries, or only the variants that start with it
+            var keys = [];
+            var matches = startsWith(this.query.prefix);
+            (yield Cache.list(options)).forEach(function(entry) {
+                if (matches(entry)) keys.push(entry.key);
+                else (entry.variants || []).filter(matches).forEach(function(variant) {
+                    keys.push(variant.key);
+                });
+            });
+            for (var i=0; i<keys.length; i++) {
+                yield Cache.del(keys[i], options.store);
+            }
+            this.body = {deleted: keys};
+        },
+
+        'GET /entries/:key': function*(key) {
+            var entry = yield Cache.inspect(key, options);
+            if (!entry) return error(this, 404, "No entry " + key);
+
+            delete entry.data;
+            this.body = entry;
+        },
+
+        'GET /entries/:key/body': function*(key) {
+            var entry = yield Cache.inspect(key, options);
+            if (!entry) return error(this, 404, "No entry " + key);
+            if (entry.vary) return error(this, 400, "Entry " + key + " varies on " + entry.vary.join(', ') + ", ask for one of its variants");
+
+            this.body = entry.data;
+            this.type = entry.type || 'application/octet-stream';
+        },
+
+        'DELETE /entries/:key': function*(key) {
+            var entry = (yield Cache.list(options)).filter(function(entry) {
+                return entry.key === key || (entry.variants || []).some(function(variant) {
+                    return variant.key === key;
+                });
+            })[0];
+            if (!entry) return error(this, 404, "No entry " + key);
+
+            yield Cache.del(key, options.store);
+            this.body = {deleted: [key]};
+        },
+
+        'POST /purge': function*() {
+            this.body = {purged: yield Cache.purge(options)};
+        }
+    };
+
+    var middleware = function *(next) {
+        if (this.path !== prefix && this.path.indexOf(prefix + '/') !== 0) return yield next;
+
+        var allowed = options.auth.call(this, this);
+        if (isYieldable(allowed)) allowed = yield allowed;
+        if (!allowed) return error(this, 403, "Forbidden");
+
+        var route = match(this.path.slice(prefix.length));
+        if (!route) return error(this, 404, "Not found");
+        if (route.error) return error(this, 400, route.error);
+
+        var handler = routes[this.method + ' ' + route.name];
+        if (!handler) return error(this, 405, "Method not allowed");
+
+        debug("Admin "+this.method+" "+this.path);
+        try {
+            yield handler.apply(this, route.params);
+        }
+        catch (err) {
+            debug("Admin "+this.method+" "+this.path+" failed", err);
+            error(this, 500, err.message);
+        }
+    };
+
+    return options.async? compat.toAsync(middleware) : middleware;
+};
+
+// Route of a path (and the key in it), or null if there's none
+function match(path) {
+    if (path === '/purge') return {name: '/purge', params: []};
+
+    var found = /^\/entries(?:\/(.+?))?(\/body)?\/?$/.exec(path);
+    if (!found) return null;
+    if (!found[1]) return {name: '/entries', params: []};
+
+    try {
+        var key = Key.validatePath(decodeURIComponent(found[1]), 'key');
+    }
+    catch (err) {
+        return {error: err.message};
+    }
+    return {name: '/entries/:key' + (found[2] || ''), params: [key]};
+}
+
+function startsWith(prefix) {
+    return function(entry) {
+        return entry.key.indexOf(prefix) === 0;
+    };
+}
+
+function error(ctx, status, message) {
+    ctx.status = status;
+    ctx.body = {error: message};
+}
+
+function isYieldable(value) {
+    return !!value && (typeof value.then === 'function' || typeof value.next === 'function' || typeof value === 'function');
+}
@@ -0,0 +1,108 @@
+var crypto = require('crypto');
+var stream = require('stream');
+
+/**
+ * Checksums of the cache files, to tell if one was corrupted since it was written.
+ * They're strings of the algorithm and digest, e.g. 'sha256-<base64>' or 'crc32-<hex>'.
+*/
+
+exports.names = ['sha256', 'crc32'];
+
+exports.isSupported = function(algorithm) {
+    return exports.names.indexOf(algorithm) !== -1;
+};
+
+// A hash to update() with the data, and digest() into a checksum
+exports.create = function(algorithm) {
+    if (algorithm === 'crc32') return new CRC32();
+
+    var hash = crypto.createHash(algorithm);
+    return {
+        update: function(data) {
+            hash.update(data);
+            return this;
+        },
+        digest: function() {
+            return algorithm + '-' + hash.digest('base64');
+        }
+    };
+};
+
+// Checksum of data, with the algorithm of expected or else algorithm
+exports.of = function(data, algorithm) {
+    return exports.create(algorithm).update(data).digest();
+};
+
+// Throws if data doesn't match the checksum expected
+exports.verify = function(data, expected) {
+    var actual = exports.of(data, algorithmOf(expected));
+    if (actual !== expected) throw mismatch(expected, actual);
+};
+
+// Transform checking the data going through matches the checksum expected,
+//  it holds back the last chunk until it does, and errors if it doesn't
+exports.createVerify = function(expected) {
+    var hash = exports.create(algorithmOf(expected));
+    var last = null;
+
+    var verify = new stream.Transform();
+    verify._transform = function(chunk, encoding, cb) {
+        hash.update(chunk);
+        if (last) this.push(last);
+        last = chunk;
+        cb();
+    };
+    verify._flush = function(cb) {
+        var actual = hash.digest();
+        if (actual !== expected) return cb(mismatch(expected, actual));
+
+        if (last) this.push(last);
+        cb();
+    };
+    return verify;
+};
+
+function algorithmOf(checksum) {
+    var algorithm = String(checksum).split('-')[0];
+    if (!exports.isSupported(algorithm)) throw new Error("Checksum algorithm "+algorithm+" is not supported");
+    return algorithm;
+}
+
+function mismatch(expected, actual) {
+    var err = new Error("Checksum mismatch, expected "+expected+" but got "+actual);
+    err.code = 'ECHECKSUM';
+    return err;
+}
+
+// CRC-32 (IEEE), as used by gzip and zip
+var CRC32_TABLE = (function() {
+    var table = new Array(256);
+    for (var n=0; n<256; n++) {
+        var c = n;
+        for (var k=0; k<8; k++) {
+            c = (c & 1)? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function CRC32() {
+    this.crc = 0xFFFFFFFF;
+}
+
+CRC32.prototype.update = function(data) {
+    if (!Buffer.isBuffer(data)) data = Buffer.from(data);
+
+    var crc = this.crc;
+    for (var i=0; i<data.length; i++) {
+        crc = CRC32_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    this.crc = crc;
+    return this;
+};
+
+CRC32.prototype.digest = function() {
+    var hex = ((this.crc ^ 0xFFFFFFFF) >>> 0).toString(16);
+    return 'crc32-' + ('00000000' + hex).slice(-8);
+};
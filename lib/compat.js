@@ -0,0 +1,42 @@
+var co = require('co');
+var compose = require('koa-compose');
+
+/**
+ * Running the middleware under either flavor of koa:
+ * generator middleware (koa 0.x and 1.x) and async (ctx, next) ones (koa 2 and later).
+*/
+
+function isGeneratorFunction(fn) {
+    return !!fn && fn.constructor && fn.constructor.name === 'GeneratorFunction';
+}
+exports.isGeneratorFunction = isGeneratorFunction;
+
+// An async (ctx, next) middleware running a generator one, with this as ctx
+//  and next as a generator it can yield (once)
+exports.toAsync = function(middleware) {
+    return function(ctx, next) {
+        return co.call(ctx, middleware, (function*() {
+            yield next();
+        })());
+    };
+};
+
+// Run a context through every middleware of app, resolves once they're done
+exports.run = function(app, ctx) {
+    if (!app.middleware.length || isGeneratorFunction(app.middleware[0])) {
+        return co.wrap(compose(app.middleware)).call(ctx);
+    }
+    return dispatch(app.middleware, ctx, 0);
+};
+
+function dispatch(middleware, ctx, i) {
+    if (i === middleware.length) return Promise.resolve();
+    try {
+        return Promise.resolve(middleware[i](ctx, function() {
+            return dispatch(middleware, ctx, i+1);
+        }));
+    }
+    catch (err) {
+        return Promise.reject(err);
+    }
+}
@@ -0,0 +1,87 @@
+var zlib = require('zlib');
+
+/**
+ * The content encodings a cache can be stored in,
+ * with the extension of their file and how to (de)compress them.
+*/
+
+var encodings = {
+    gzip: {
+        extension: '.gz',
+        compress: zlib.gzip,
+        decompress: zlib.gunzip,
+        createCompress: zlib.createGzip,
+        createDecompress: zlib.createGunzip,
+        options: function(level) {
+            return {level: level};
+        }
+    },
+    deflate: {
+        extension: '.deflate',
+        compress: zlib.deflate,
+        decompress: zlib.inflate,
+        createCompress: zlib.createDeflate,
+        createDecompress: zlib.createInflate,
+        options: function(level) {
+            return {level: level};
+        }
+    }
+};
+
+// Brotli is only available in newer versions of node
+if (zlib.brotliCompress) {
+    encodings.br = {
+        extension: '.br',
+        compress: zlib.brotliCompress,
+        decompress: zlib.brotliDecompress,
+        createCompress: zlib.createBrotliCompress,
+        createDecompress: zlib.createBrotliDecompress,
+        options: function(level) {
+            var params = {};
+            params[zlib.constants.BROTLI_PARAM_QUALITY] = level;
+            return {params: params};
+        }
+    };
+}
+
+// Every encoding that can be stored
+exports.names = Object.keys(encodings);
+
+// Whether encoding can be stored
+exports.isSupported = function(encoding) {
+    return encodings.hasOwnProperty(encoding);
+};
+
+// Extension of a file stored with encoding ('' for identity)
+exports.extension = function(encoding) {
+    return (encoding === 'identity')? '' : encodings[encoding].extension;
+};
+
+// Thunk compressing buf with encoding, at level if given
+exports.compress = function(encoding, buf, level) {
+    var coding = encodings[encoding];
+    return function(cb) {
+        if (level === undefined) coding.compress(buf, cb);
+        else coding.compress(buf, coding.options(level), cb);
+    };
+};
+
+// Thunk decompressing buf that's stored with encoding
+exports.decompress = function(encoding, buf) {
+    var coding = encodings[encoding];
+    return function(cb) {
+        if (encoding === 'identity') return cb(void 0, buf);
+        coding.decompress(buf, cb);
+    };
+};
+
+// Transform stream compressing with encoding, at level if given
+exports.createCompress = function(encoding, level) {
+    var coding = encodings[encoding];
+    return (level === undefined)? coding.createCompress() : coding.createCompress(coding.options(level));
+};
+
+// Transform stream decompressing what's stored with encoding
+exports.createDecompress = function(encoding) {
+    return encodings[encoding].createDecompress();
+};
@@ -0,0 +1,70 @@
+var crypto = require('crypto');
+
+/**
+ * Encryption of the cache files at rest, with AES-256-GCM.
+ *
+ * Each file gets its own IV, and the IV and authentication tag are saved in
+ * the metadata along with the id of the key, so keys can be rotated.
+*/
+
+var ALGORITHM = 'aes-256-gcm';
+exports.algorithm = ALGORITHM;
+
+/**
+ * The key provider of the encryption option.
+ *
+ * @param {Buffer|String|Function} option A 32 bytes key (or its hex or base64), or a function
+ *      (id) => {id, key}, called without id for the key to encrypt with and with one to decrypt
+ * @returns {Function} (id) => {id, key} or null if there's no such key
+*/
+exports.provider = function(option) {
+    if (typeof option === 'function') {
+        return function(id) {
+            var found = option(id);
+            return found? {id: String(found.id), key: toKey(found.key)} : null;
+        };
+    }
+
+    // A single key, its id derived from it
+    var key = toKey(option);
+    var keyId = crypto.createHash('sha256').update(key).digest('hex').substring(0, 8);
+    return function(id) {
+        return (id === undefined || id === keyId)? {id: keyId, key: key} : null;
+    };
+};
+
+// Encrypt data, returning it along with its {iv, tag}
+exports.encrypt = function(key, data) {
+    var iv = crypto.randomBytes(12);
+    var cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    data = Buffer.concat([cipher.update(data), cipher.final()]);
+    return {data: data, params: {iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64')}};
+};
+
+// Decrypt data, throws if it was tampered with (or it's the wrong key)
+exports.decrypt = function(key, data, params) {
+    var decipher = createDecipher(key, params);
+    return Buffer.concat([decipher.update(data), decipher.final()]);
+};
+
+// Encrypting stream, its {iv, tag} are available through params() once it's ended
+exports.createEncrypt = function(key) {
+    var iv = crypto.randomBytes(12);
+    var cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.params = function() {
+        return {iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64')};
+    };
+    return cipher;
+};
+
+function createDecipher(key, params) {
+    var decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(params.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(params.tag, 'base64'));
+    return decipher;
+}
+
+function toKey(key) {
+    if (typeof key === 'string') key = /^[0-9a-f]{64}$/i.test(key)? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+    if (!Buffer.isBuffer(key) || key.length !== 32) throw new Error("Encryption key must be 32 bytes");
+    return key;
+}
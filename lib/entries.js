@@ -0,0 +1,69 @@
+var debug = require('debug')('cache');
+var encodings = require('./encodings');
+
+/**
+ * A cache entry is stored as several files: one per encoding
+ * (<name>, <name>.gz, ...) and its metadata (<name>.meta).
+ * Only those with metadata are considered entries here.
+ *
+ * An entry whose responses vary on request headers only has metadata
+ * recording what it varies on ({vary}), each of its variants is an
+ * entry of its own named <name>~<hash>.
+*/
+
+// Names of the entries in store
+exports.list = function*(store) {
+    var names = yield store.list();
+    return names.filter(function(name) {
+        return /\.meta$/.test(name);
+    }).map(function(name) {
+        return name.slice(0, -'.meta'.length);
+    });
+};
+
+// Names of every file an entry can have, the metadata last
+exports.files = function(fileName) {
+    return ['identity'].concat(encodings.names).map(function(encoding) {
+        return fileName + encodings.extension(encoding);
+    }).concat(fileName+'.meta');
+};
+
+// Metadata of an entry, or null if it's missing (or unreadable)
+exports.meta = function*(store, fileName) {
+    var data = yield store.get(fileName+'.meta');
+    try {
+        return data? JSON.parse(data) : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+// Name of the entry a variant is of, or null if fileName isn't that of a variant
+exports.primary = function(fileName) {
+    var index = fileName.lastIndexOf('~');
+    return (index > 0)? fileName.slice(0, index) : null;
+};
+
+// Remove every file of an entry, along with what its entry varies
+//  on if it was the last variant left
+exports.del = function*(store, fileName) {
+    debug("Removing "+fileName);
+
+    var files = exports.files(fileName);
+    for (var i=0; i<files.length; i++) {
+        yield store.del(files[i]);
+    }
+
+    var primary = exports.primary(fileName);
+    var meta = primary && (yield exports.meta(store, primary));
+    if (!meta || !meta.vary) return;
+
+    var fileNames = yield exports.list(store);
+    var left = fileNames.some(function(name) {
+        return name.indexOf(primary + '~') === 0;
+    });
+    if (left) return;
+
+    debug("Removing "+primary+", none of its variants are left");
+    yield store.del(primary + '.meta');
+};
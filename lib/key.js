@@ -0,0 +1,87 @@
+var crypto = require('crypto');
+
+/**
+ * Builds the name a cache is stored under from the request,
+ * instead of from fields set by upstream middleware.
+ *
+ * The method, path, query and selected headers are hashed, so the name
+ * is always safe to use as a file name (whatever the request contains).
+ *
+ * @param {Object} [options]
+ *      method: {Boolean} Include the method (HEAD is treated as GET)
+ *      path: {Boolean} Include the path
+ *      query: {Boolean|Array[String]} Include the (sorted) query string, or only these parameters of it
+ *      headers: {Array[String]} Request headers to include, e.g. Accept-Language
+ *      prefix: {String} Readable prefix of the name, e.g. the route
+ *      shard: {Number} Directory levels to spread names over (2 hex characters each)
+ * @returns {Function} (ctx) => name
+*/
+
+function Key(options) {
+    options = options || {};
+
+    var method = (options.method === undefined)? true : !!options.method; // default true
+    var path = (options.path === undefined)? true : !!options.path; // default true
+    var query = (options.query === undefined)? true : options.query; // default all of it
+    var headers = options.headers || [];
+    var prefix = options.prefix || '';
+    var shard = options.shard || 0;
+
+    if (prefix) validate(prefix, 'prefix');
+
+    return function(ctx) {
+        var parts = [];
+
+        if (method) parts.push(ctx.method === 'HEAD'? 'GET' : ctx.method);
+        if (path) parts.push(ctx.path);
+        if (query) parts.push(getQuery(ctx.query, query));
+
+        headers.forEach(function(field) {
+            parts.push(field.toLowerCase() + ':' + (ctx.get(field) || '').trim());
+        });
+
+        var hash = crypto.createHash('sha1').update(parts.join('\n')).digest('hex');
+
+        // e.g. ab/cd/abcd...
+        var dirs = '';
+        for (var i=0; i<shard; i++) {
+            dirs += hash.substring(i*2, i*2+2) + '/';
+        }
+
+        return dirs + prefix + hash;
+    };
+}
+module.exports = Key;
+
+// Throw if name can't safely be used as a file name (or is missing)
+function validate(name, field) {
+    if (name === undefined || name === null || name === '')
+        throw new Error("Cache name field '"+field+"' is missing");
+
+    name = String(name);
+    if (/[\/\\\0]/.test(name) || name === '.' || name === '..')
+        throw new Error("Cache name field '"+field+"' is not safe to use as a file name: "+JSON.stringify(name));
+
+    return name;
+}
+Key.validate = validate;
+
+// Throw if a name with directories (separated by /) can't safely be used
+Key.validatePath = function(name, field) {
+    if (name === undefined || name === null) validate(name, field);
+    String(name).split('/').forEach(function(part) {
+        validate(part, field);
+    });
+    return String(name);
+};
+
+// Sorted query string, of only the allowed parameters if given
+function getQuery(query, allowed) {
+    return Object.keys(query).filter(function(param) {
+        return !Array.isArray(allowed) || allowed.indexOf(param) !== -1;
+    }).sort().map(function(param) {
+        return [].concat(query[param]).map(function(value) {
+            return encodeURIComponent(param) + '=' + encodeURIComponent(value);
+        }).join('&');
+    }).join('&');
+}
@@ -0,0 +1,141 @@
+var stream = require('stream');
+
+/**
+ * How a body is turned into what's stored, and back when the cache is loaded
+ * (in delegate mode, or when it can't be streamed directly).
+ *
+ * A serializer is {name, serialize(body, ctx) => String|Buffer, deserialize(Buffer) => body, raw}.
+ * Its name is saved along with the cache, so the right one is used to load it.
+ * A raw one stores what is sent, so the cache can be streamed to clients as it is.
+*/
+
+var serializers = {
+    // Objects as JSON, loaded back as objects (strings and buffers are assumed to be JSON already)
+    json: {
+        raw: true,
+        serialize: function(body, ctx) {
+            return isObject(body)? JSON.stringify(body, null, ctx && ctx.app.jsonSpaces) : body;
+        },
+        deserialize: function(data) {
+            return JSON.parse(data);
+        }
+    },
+    // Loaded back as a string (objects as JSON, as they're sent)
+    text: {
+        raw: true,
+        serialize: function(body, ctx) {
+            if (isObject(body)) return JSON.stringify(body, null, ctx && ctx.app.jsonSpaces);
+            return Buffer.isBuffer(body)? body : String(body);
+        },
+        deserialize: function(data) {
+            return data.toString('utf8');
+        }
+    },
+    // Loaded back as a Buffer, as sent (objects as JSON)
+    buffer: {
+        raw: true,
+        serialize: function(body) {
+            return isObject(body)? JSON.stringify(body) : body;
+        },
+        deserialize: function(data) {
+            return data;
+        }
+    },
+    // Like json, but Dates, Buffers, Maps, Sets and BigInts survive the round trip
+    structured: {
+        serialize: function(body) {
+            return JSON.stringify(body, replacer);
+        },
+        deserialize: function(data) {
+            return JSON.parse(data, reviver);
+        }
+    }
+};
+
+Object.keys(serializers).forEach(function(name) {
+    serializers[name].name = name;
+});
+
+exports.names = Object.keys(serializers);
+
+// The serializer of a name, or a custom {serialize, deserialize} (named 'custom' if it isn't)
+exports.get = function(serializer) {
+    if (typeof serializer === 'string') {
+        if (!serializers[serializer]) throw new Error("Serializer "+serializer+" is not supported");
+        return serializers[serializer];
+    }
+    if (!serializer || typeof serializer.serialize !== 'function' || typeof serializer.deserialize !== 'function') {
+        throw new Error("A serializer must have serialize and deserialize functions");
+    }
+    if (!serializer.name) serializer.name = 'custom';
+    return serializer;
+};
+
+// The serializer a cache was saved with, given the one in use (which may be custom),
+//  or null if it's neither that one nor a bundled one
+exports.find = function(name, current) {
+    if (current && current.name === name) return current;
+    return serializers[name] || null;
+};
+
+// Tagged values of the structured serializer, e.g. {$type: 'Date', value: '2015-...'}
+var types = {
+    Date: {
+        is: function(value) { return value instanceof Date; },
+        to: function(value) { return value.toISOString(); },
+        from: function(value) { return new Date(value); }
+    },
+    Buffer: {
+        is: function(value) { return Buffer.isBuffer(value); },
+        to: function(value) { return value.toString('base64'); },
+        from: function(value) { return Buffer.from(value, 'base64'); }
+    },
+    Map: {
+        is: function(value) { return value instanceof Map; },
+        to: function(value) { return Array.from(value.entries()); },
+        from: function(value) { return new Map(value); }
+    },
+    Set: {
+        is: function(value) { return value instanceof Set; },
+        to: function(value) { return Array.from(value.values()); },
+        from: function(value) { return new Set(value); }
+    },
+    BigInt: {
+        is: function(value) { return typeof value === 'bigint'; },
+        to: function(value) { return value.toString(); },
+        from: function(value) { return BigInt(value); }
+    },
+    // Objects which would be mistaken for a tagged value
+    Object: {
+        is: function(value) { return isObject(value) && Object.prototype.hasOwnProperty.call(value, '$type'); },
+        to: function(value) { return Object.keys(value).map(function(key) { return [key, value[key]]; }); },
+        from: function(value) {
+            var obj = {};
+            value.forEach(function(entry) {
+                obj[entry[0]] = entry[1];
+            });
+            return obj;
+        }
+    }
+};
+var typeNames = Object.keys(types);
+
+// this[key] is the value before toJSON() (which Dates and Buffers have)
+function replacer(key, value) {
+    var original = this[key];
+    for (var i=0; i<typeNames.length; i++) {
+        if (types[typeNames[i]].is(original)) return {$type: typeNames[i], value: types[typeNames[i]].to(original)};
+    }
+    return value;
+}
+
+function reviver(key, value) {
+    if (value && typeof value === 'object' && types[value.$type] && 'value' in value) {
+        return types[value.$type].from(value.value);
+    }
+    return value;
+}
+
+function isObject(body) {
+    return body && typeof body === 'object' && !Buffer.isBuffer(body) && !(body instanceof stream.Stream);
+}
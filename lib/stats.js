@@ -0,0 +1,148 @@
+/**
+ * Stats
+ * Counters and latency histograms of a cache middleware, fed by its events,
+ * and their rendering in Prometheus' text exposition format.
+ *
+ * @constructor
+*/
+
+// Upper bounds of the latency histograms' buckets, in milliseconds
+var BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+function Stats() {
+    if (!(this instanceof Stats)) return new Stats();
+
+    this.counters = {hits: 0, misses: 0, stale: 0, bypasses: 0, writes: 0, writtenBytes: 0, evictions: 0, errors: 0, checksumMismatches: 0};
+    this.latency = {hit: histogram(), miss: histogram(), write: histogram()};
+}
+module.exports = Stats;
+
+// Keep count of the events of a middleware
+Stats.prototype.listen = function(emitter) {
+    var self = this;
+    emitter.on('hit', function(event) {
+        self.counters[event.stale? 'stale' : 'hits']++;
+        observe(self.latency.hit, event.time);
+    });
+    emitter.on('miss', function(event) {
+        self.counters.misses++;
+        observe(self.latency.miss, event.time);
+    });
+    emitter.on('bypass', function() {
+        self.counters.bypasses++;
+    });
+    emitter.on('write', function(event) {
+        self.counters.writes++;
+        self.counters.writtenBytes += event.size || 0;
+        observe(self.latency.write, event.time);
+    });
+    emitter.on('evict', function() {
+        self.counters.evictions++;
+    });
+    emitter.on('error', function(err) {
+        self.counters.errors++;
+        if (err && err.code === 'ECHECKSUM') self.counters.checksumMismatches++;
+    });
+    return this;
+};
+
+// A copy of the current counts
+Stats.prototype.toJSON = function() {
+    return JSON.parse(JSON.stringify({counters: this.counters, latency: this.latency}));
+};
+
+/**
+ * Render stats in Prometheus' text exposition format.
+ *
+ * @param {Array[Object]|Object} stats What middleware.stats() returned, for one or more of them
+ * @param {Object} [options]
+ *      prefix: {String} Prefix of the metric names
+ * @returns {String}
+*/
+Stats.render = function(stats, options) {
+    var prefix = (options && options.prefix) || 'koa_cache';
+    var lines = [];
+    stats = [].concat(stats);
+
+    function metric(name, type, help, samples) {
+        lines.push('# HELP ' + prefix + '_' + name + ' ' + help);
+        lines.push('# TYPE ' + prefix + '_' + name + ' ' + type);
+        stats.forEach(function(s) {
+            samples(s).forEach(function(sample) {
+                var labels = s.name? {cache: s.name} : {};
+                Object.keys(sample.labels || {}).forEach(function(label) {
+                    labels[label] = sample.labels[label];
+                });
+                lines.push(prefix + '_' + name + (sample.suffix || '') + formatLabels(labels) + ' ' + sample.value);
+            });
+        });
+    }
+
+    metric('requests_total', 'counter', 'Requests by how the cache answered them.', function(s) {
+        return ['hit', 'miss', 'stale', 'bypass'].map(function(result) {
+            var counter = {hit: 'hits', miss: 'misses', stale: 'stale', bypass: 'bypasses'}[result];
+            return {labels: {result: result}, value: s.counters[counter]};
+        });
+    });
+    metric('writes_total', 'counter', 'Cache entries written.', function(s) {
+        return [{value: s.counters.writes}];
+    });
+    metric('written_bytes_total', 'counter', 'Bytes of cache entries written (uncompressed).', function(s) {
+        return [{value: s.counters.writtenBytes}];
+    });
+    metric('evictions_total', 'counter', 'Cache entries removed by the sweeper.', function(s) {
+        return [{value: s.counters.evictions}];
+    });
+    metric('errors_total', 'counter', 'Cache errors.', function(s) {
+        return [{value: s.counters.errors}];
+    });
+    metric('checksum_mismatches_total', 'counter', 'Cache entries found corrupt (and removed).', function(s) {
+        return [{value: s.counters.checksumMismatches}];
+    });
+    metric('size_bytes', 'gauge', 'Size of the cache entries, if known.', function(s) {
+        return (s.size === undefined)? [] : [{value: s.size}];
+    });
+    metric('entries', 'gauge', 'Number of cache entries, if known.', function(s) {
+        return (s.entries === undefined)? [] : [{value: s.entries}];
+    });
+    metric('duration_seconds', 'histogram', 'Time taken to send a hit, compute a miss or write an entry.', function(s) {
+        var samples = [];
+        Object.keys(s.latency).forEach(function(type) {
+            var h = s.latency[type];
+            BUCKETS.forEach(function(bound, i) {
+                samples.push({suffix: '_bucket', labels: {type: type, le: String(bound/1000)}, value: h.buckets[i]});
+            });
+            samples.push({suffix: '_bucket', labels: {type: type, le: '+Inf'}, value: h.count});
+            samples.push({suffix: '_sum', labels: {type: type}, value: h.sum/1000});
+            samples.push({suffix: '_count', labels: {type: type}, value: h.count});
+        });
+        return samples;
+    });
+
+    return lines.join('\n') + '\n';
+};
+
+Stats.BUCKETS = BUCKETS;
+
+// Cumulative counts per bucket, as Prometheus has them
+function histogram() {
+    return {buckets: BUCKETS.map(function() { return 0; }), sum: 0, count: 0};
+}
+
+function observe(h, time) {
+    time = time || 0;
+    BUCKETS.forEach(function(bound, i) {
+        if (time <= bound) h.buckets[i]++;
+    });
+    h.sum += time;
+    h.count++;
+}
+
+function formatLabels(labels) {
+    var names = Object.keys(labels);
+    if (!names.length) return '';
+
+    return '{' + names.map(function(name) {
+        return name + '="' + String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+    }).join(',') + '}';
+}
@@ -0,0 +1,396 @@
+var fs = require('fs');
+var resolve = require('path').resolve;
+var dirname = require('path').dirname;
+var Writable = require('stream').Writable;
+var debug = require('debug')('cache');
+
+/**
+ * FileStore
+ * Stores the cache as files in a folder (the default store).
+ * Names may contain subfolders (e.g. ab/cd/name), which are created as needed.
+ * Only subfolders named as 2 hex characters (as Cache.Key's shard creates)
+ * are listed, so unrelated folders inside the folder are never touched.
+ *
+ * Every method returns a thunk, except createWriteStream.
+ *
+ * @param {Object} [options]
+ *      folder: {String} Folder that will be used to store the cache
+ *      lockTimeout: {Number} Time in milliseconds after which a lock is considered abandoned
+ * @constructor
+*/
+
+function FileStore(options) {
+    if (!(this instanceof FileStore)) return new FileStore(options);
+    options = options || {};
+
+    this.folder = (options.folder || ".") + "/"; // default current folder
+    this.lockTimeout = options.lockTimeout || 1000*30; // default 30 seconds
+
+    sweepTempFiles(this);
+}
+module.exports = FileStore;
+
+// Stats ({size, mtime}) of name, or null if it doesn't exist
+FileStore.prototype.stat = function(name) {
+    var path = this.folder + name;
+    return function(cb) {
+        fs.stat(path, function(err, stats) {
+            if (err) return cb(notFound(err)? void 0 : err, null);
+            cb(void 0, {size: stats.size, mtime: stats.mtime});
+        });
+    };
+};
+
+// Contents of name, or null if it doesn't exist
+FileStore.prototype.get = function(name) {
+    var path = this.folder + name;
+    return function(cb) {
+        fs.readFile(path, function(err, buf) {
+            if (err) return cb(notFound(err)? void 0 : err, null);
+            cb(void 0, buf);
+        });
+    };
+};
+
+// Write data to name through a temp file that's only renamed into place
+//  once completely written, so a partial file is never read.
+//  options.mtime sets the modified time of the new file.
+FileStore.prototype.put = function(name, data, options) {
+    var path = this.folder + name;
+    var tmpPath = getTempName(path);
+    var mtime = options && options.mtime;
+    return function(cb) {
+        debug("Attempting to save "+path);
+
+        mkdirFor(path, function(err) {
+            if (err) return cb(err);
+            fs.writeFile(tmpPath, data, written);
+        });
+
+        function written(err) {
+            if (err) return cleanup(err);
+            if (!mtime) return rename();
+
+            fs.utimes(tmpPath, mtime, mtime, function(err) {
+                if (err) return cleanup(err);
+                rename();
+            });
+        }
+
+        function rename() {
+            fs.rename(tmpPath, path, function(err) {
+                if (err) return cleanup(err);
+                cb();
+            });
+        }
+
+        function cleanup(err) {
+            fs.unlink(tmpPath, function() {
+                cb(err);
+            });
+        }
+    };
+};
+
+// Writable stream to name, through a temp file like put(). It is only
+//  renamed into place once ended, and 'finish' is emitted after that.
+//  abort() discards what was written.
+FileStore.prototype.createWriteStream = function(name) {
+    var path = this.folder + name;
+    var tmpPath = getTempName(path);
+    var out = null;
+    var aborted = false;
+
+    var stream = new Writable();
+    stream._write = function(chunk, encoding, cb) {
+        open(function(err) {
+            if (err || aborted) return cb(err);
+            out.write(chunk, cb);
+        });
+    };
+    stream._final = function(cb) {
+        open(function(err) {
+            if (err || aborted) return cb(err);
+            out.end(function() {
+                if (aborted) return cb();
+                fs.rename(tmpPath, path, cb);
+            });
+        });
+    };
+    stream.abort = function() {
+        if (aborted) return;
+        aborted = true;
+        if (out) out.destroy();
+        stream.destroy();
+        fs.unlink(tmpPath, function() {});
+    };
+
+    // The temp file is opened on the first write, once its folder exists
+    function open(cb) {
+        if (out) return cb();
+        mkdirFor(path, function(err) {
+            if (err || aborted) return cb(err);
+            if (out) return cb();
+
+            out = fs.createWriteStream(tmpPath);
+            out.on('error', function(err) {
+                stream.abort();
+                stream.emit('error', err);
+            });
+            cb();
+        });
+    }
+
+    debug("Attempting to save "+path);
+    return stream;
+};
+
+// Remove name, if it exists
+FileStore.prototype.del = function(name) {
+    var path = this.folder + name;
+    return function(cb) {
+        fs.unlink(path, function(err) {
+            cb(err && !notFound(err)? err : void 0);
+        });
+    };
+};
+
+// Names of everything stored (but temp and lock files)
+FileStore.prototype.list = function() {
+    var folder = this.folder;
+    return function(cb) {
+        walk(folder, '', function(err, files) {
+            if (err) return cb(notFound(err)? void 0 : err, []);
+
+            cb(void 0, files.filter(function(file) {
+                return !TEMP_FILE.test(file.name) && !/\.lock$/.test(file.name);
+            }).map(function(file) {
+                return file.name;
+            }));
+        });
+    };
+};
+
+// Readable stream of name (options.start/end to read a part),
+//  or null if it doesn't exist
+FileStore.prototype.stream = function(name, options) {
+    var path = this.folder + name;
+    return function(cb) {
+        fs.open(path, 'r', function(err, fd) {
+            if (err) return cb(notFound(err)? void 0 : err, null);
+
+            var streamOptions = {fd: fd};
+            if (options && options.start !== undefined) streamOptions.start = options.start;
+            if (options && options.end !== undefined) streamOptions.end = options.end;
+            cb(void 0, fs.createReadStream(path, streamOptions));
+        });
+    };
+};
+
+// Attempt to create a lock file for name, resolves to the token written
+//  into it if we now hold it (false otherwise), which releasing it takes.
+//  Locks older than lockTimeout are considered abandoned and taken over.
+FileStore.prototype.lock = function(name) {
+    var path = this.folder + name + '.lock';
+    var lockTimeout = this.lockTimeout;
+    var token = getToken();
+    return function(cb) {
+        mkdirFor(path, function(err) {
+            if (err) return cb(err);
+            fs.writeFile(path, token, {flag: 'wx'}, written);
+        });
+
+        function written(err) {
+            if (!err) return cb(void 0, token);
+            if (err.code !== 'EEXIST') return cb(err);
+
+            fs.stat(path, function(err, stats) {
+                // Released in the meantime, try again next time around
+                if (err) return cb(notFound(err)? void 0 : err, false);
+
+                if (Date.now() <= stats.mtime.getTime() + lockTimeout) return cb(void 0, false);
+
+                removeAbandoned(path, lockTimeout, function(err) {
+                    cb(err, false);
+                });
+            });
+        }
+    };
+};
+
+// Release the lock for name, unless it isn't ours (any more) as token tells
+FileStore.prototype.unlock = function(name, token) {
+    var path = this.folder + name + '.lock';
+    return function(cb) {
+        ownsLock(path, token, function(err, owned) {
+            if (err || !owned) return cb(err);
+
+            fs.unlink(path, function(err) {
+                cb(err && !notFound(err)? err : void 0);
+            });
+        });
+    };
+};
+
+// Keep holding the lock for name so it isn't considered abandoned,
+//  resolves to false if it isn't ours any more
+FileStore.prototype.refresh = function(name, token) {
+    var path = this.folder + name + '.lock';
+    return function(cb) {
+        ownsLock(path, token, function(err, owned) {
+            if (err || !owned) return cb(err, false);
+
+            var now = new Date();
+            fs.utimes(path, now, now, function(err) {
+                cb(err && !notFound(err)? err : void 0, !err);
+            });
+        });
+    };
+};
+
+// Remove the abandoned lock at path, so it can be taken next time around.
+//  It's moved aside first, so only one of those who found it abandoned gets to remove it,
+//  and put back if what was moved turns out to be a lock taken (or refreshed) in the meantime.
+function removeAbandoned(path, lockTimeout, cb) {
+    var aside = getTempName(path);
+    fs.rename(path, aside, function(err) {
+        // Someone else got to it first
+        if (err) return cb(notFound(err)? void 0 : err);
+
+        fs.stat(aside, function(err, stats) {
+            if (err) return cb(notFound(err)? void 0 : err);
+
+            if (Date.now() > stats.mtime.getTime() + lockTimeout) {
+                debug("Removing abandoned lock "+path);
+                return fs.unlink(aside, function(err) {
+                    cb(err && !notFound(err)? err : void 0);
+                });
+            }
+
+            // Not ours to remove, unless yet another lock was taken since
+            fs.link(aside, path, function(err) {
+                fs.unlink(aside, function() {
+                    cb(err && err.code !== 'EEXIST'? err : void 0);
+                });
+            });
+        });
+    });
+}
+
+// Whether the lock file at path holds token
+function ownsLock(path, token, cb) {
+    fs.readFile(path, 'utf8', function(err, held) {
+        if (err) return cb(notFound(err)? void 0 : err, false);
+        if (held !== token) debug("Lock "+path+" is held by someone else");
+        cb(void 0, held === token);
+    });
+}
+
+// Locks hold <pid>.<random>, telling who holds them
+function getToken() {
+    return process.pid + '.' + Math.random().toString(36).slice(2);
+}
+
+function notFound(err) {
+    return err.code === 'ENOENT';
+}
+
+// Create the folder path is in (and those it's in), if it doesn't exist
+function mkdirFor(path, cb) {
+    var dir = dirname(path);
+    fs.stat(dir, function(err) {
+        if (!err || !notFound(err)) return cb(err);
+
+        mkdirFor(dir, function(err) {
+            if (err) return cb(err);
+            fs.mkdir(dir, function(err) {
+                cb(err && err.code !== 'EEXIST'? err : void 0);
+            });
+        });
+    });
+}
+
+// Shard folders are named as 2 hex characters
+var SHARD_FOLDER = /^[0-9a-f]{2}$/;
+
+// Every file ({name, stats}) in folder + prefix, and its shard folders
+function walk(folder, prefix, cb) {
+    fs.readdir(folder + prefix, function(err, files) {
+        if (err) return cb(err);
+
+        var found = [];
+        var pending = files.length;
+        if (!pending) return cb(void 0, found);
+
+        files.forEach(function(file) {
+            var name = prefix + file;
+            fs.stat(folder + name, function(err, stats) {
+                // Removed in the meantime
+                if (err) return next();
+
+                if (!stats.isDirectory()) {
+                    found.push({name: name, stats: stats});
+                    return next();
+                }
+                if (!SHARD_FOLDER.test(file)) return next();
+
+                walk(folder, name + '/', function(err, files) {
+                    if (!err) found.push.apply(found, files);
+                    next();
+                });
+            });
+        });
+
+        function next() {
+            if (--pending === 0) cb(void 0, found);
+        }
+    });
+}
+
+// Temp files are named <name>.<pid>.<random>.tmp
+var TEMP_FILE = /\.(\d+)\.[0-9a-z]+\.tmp$/;
+
+function getTempName(path) {
+    return path + '.' + process.pid + '.' + Math.random().toString(36).slice(2) + '.tmp';
+}
+
+// Folders (resolved) whose leftover temp files have already been swept by this process
+var swept = {};
+
+// When this process started, temp files with its pid from before that are from a previous run
+var started = Date.now() - process.uptime()*1000;
+
+// Remove temp files left behind by writes that never finished (e.g. a crash).
+//  Those of a process that's no longer running, from a previous run with this pid,
+//  or (of another process) older than lockTimeout can't still be in the middle of being written.
+function sweepTempFiles(store) {
+    var folder = store.folder;
+    if (swept[resolve(folder)]) return;
+    swept[resolve(folder)] = true;
+
+    walk(folder, '', function(err, files) {
+        if (err) return debug("Unable to sweep "+folder, err);
+
+        files.forEach(function(file) {
+            var match = TEMP_FILE.exec(file.name);
+            if (!match) return;
+
+            var pid = parseInt(match[1], 10);
+            var abandoned = (pid === process.pid)? file.stats.mtime.getTime() < started :
+                !isRunning(pid) || (Date.now() > file.stats.mtime.getTime() + store.lockTimeout);
+            if (!abandoned) return;
+
+            debug("Removing leftover temp file "+folder+file.name);
+            fs.unlink(folder + file.name, function() {});
+        });
+    });
+}
+
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === 'EPERM';
+    }
+}
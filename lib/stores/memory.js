@@ -0,0 +1,180 @@
+var stream = require('stream');
+var debug = require('debug')('cache');
+
+/**
+ * MemoryStore
+ * Stores the cache in memory, evicting the least recently used
+ * entries once they take up more than maxSize bytes.
+ *
+ * Every method returns a thunk, except createWriteStream.
+ *
+ * @param {Object} [options]
+ *      maxSize: {Number} Size in bytes the entries may take up in total
+ *      lockTimeout: {Number} Time in milliseconds after which a lock is considered abandoned
+ * @constructor
+*/
+
+function MemoryStore(options) {
+    if (!(this instanceof MemoryStore)) return new MemoryStore(options);
+    options = options || {};
+
+    this.maxSize = options.maxSize || 1024*1024*64; // default 64 MB
+    this.lockTimeout = options.lockTimeout || 1000*30; // default 30 seconds
+
+    this.size = 0;
+    this.entries = new Map(); // least recently used first
+    this.locks = {};
+}
+module.exports = MemoryStore;
+
+// Stats ({size, mtime}) of name, or null if it doesn't exist
+MemoryStore.prototype.stat = function(name) {
+    var self = this;
+    return function(cb) {
+        var entry = self.entries.get(name);
+        cb(void 0, entry? {size: entry.data.length, mtime: new Date(entry.mtime)} : null);
+    };
+};
+
+// Contents of name, or null if it doesn't exist
+MemoryStore.prototype.get = function(name) {
+    var self = this;
+    return function(cb) {
+        var entry = self.touch(name);
+        cb(void 0, entry? entry.data : null);
+    };
+};
+
+// Store data as name. options.mtime sets its modified time.
+MemoryStore.prototype.put = function(name, data, options) {
+    var self = this;
+    var mtime = (options && options.mtime)? new Date(options.mtime) : new Date();
+    return function(cb) {
+        if (!Buffer.isBuffer(data)) data = Buffer.from(data);
+
+        self.remove(name);
+        self.entries.set(name, {data: data, mtime: mtime.getTime()});
+        self.size += data.length;
+        self.evict();
+        cb();
+    };
+};
+
+// Writable stream to name, only stored once ended.
+//  abort() discards what was written.
+MemoryStore.prototype.createWriteStream = function(name) {
+    var self = this;
+    var chunks = [];
+
+    var writable = new stream.Writable();
+    writable._write = function(chunk, encoding, cb) {
+        chunks.push(chunk);
+        cb();
+    };
+    writable._final = function(cb) {
+        self.put(name, Buffer.concat(chunks))(cb);
+    };
+    writable.abort = function() {
+        chunks = [];
+        writable.destroy();
+    };
+    return writable;
+};
+
+// Remove name, if it exists
+MemoryStore.prototype.del = function(name) {
+    var self = this;
+    return function(cb) {
+        self.remove(name);
+        cb();
+    };
+};
+
+// Names of everything stored
+MemoryStore.prototype.list = function() {
+    var self = this;
+    return function(cb) {
+        cb(void 0, Array.from(self.entries.keys()));
+    };
+};
+
+// Readable stream of name (options.start/end to read a part),
+//  or null if it doesn't exist
+MemoryStore.prototype.stream = function(name, options) {
+    var self = this;
+    return function(cb) {
+        var entry = self.touch(name);
+        if (!entry) return cb(void 0, null);
+
+        var start = (options && options.start !== undefined)? options.start : 0;
+        var end = (options && options.end !== undefined)? options.end + 1 : entry.data.length;
+
+        var readable = new stream.PassThrough();
+        readable.end(entry.data.slice(start, end));
+        cb(void 0, readable);
+    };
+};
+
+// Attempt to lock name, resolves to a token if we now hold it (false otherwise),
+//  which releasing it takes. Locks older than lockTimeout are considered abandoned and taken over.
+MemoryStore.prototype.lock = function(name) {
+    var self = this;
+    return function(cb) {
+        var locked = self.locks[name];
+        if (locked && Date.now() <= locked.time + self.lockTimeout) return cb(void 0, false);
+
+        var token = Math.random().toString(36).slice(2);
+        self.locks[name] = {token: token, time: Date.now()};
+        cb(void 0, token);
+    };
+};
+
+// Release the lock for name, unless it isn't ours (any more) as token tells
+MemoryStore.prototype.unlock = function(name, token) {
+    var self = this;
+    return function(cb) {
+        var locked = self.locks[name];
+        if (locked && locked.token === token) delete self.locks[name];
+        cb();
+    };
+};
+
+// Keep holding the lock for name, resolves to false if it isn't ours any more
+MemoryStore.prototype.refresh = function(name, token) {
+    var self = this;
+    return function(cb) {
+        var locked = self.locks[name];
+        if (!locked || locked.token !== token) return cb(void 0, false);
+
+        locked.time = Date.now();
+        cb(void 0, true);
+    };
+};
+
+// Get an entry and mark it as the most recently used
+MemoryStore.prototype.touch = function(name) {
+    var entry = this.entries.get(name);
+    if (entry) {
+        this.entries.delete(name);
+        this.entries.set(name, entry);
+    }
+    return entry;
+};
+
+MemoryStore.prototype.remove = function(name) {
+    var entry = this.entries.get(name);
+    if (!entry) return;
+
+    this.entries.delete(name);
+    this.size -= entry.data.length;
+};
+
+// Drop the least recently used entries until we're within maxSize
+MemoryStore.prototype.evict = function() {
+    var names = this.entries.keys();
+    while (this.size > this.maxSize) {
+        var name = names.next().value;
+        debug("Evicting "+name+" from memory");
+        this.remove(name);
+    }
+};
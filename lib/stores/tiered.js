@@ -0,0 +1,121 @@
+var co = require('co');
+
+/**
+ * TieredStore
+ * Keeps hot entries in a fast store (e.g. a MemoryStore) in front
+ * of a slower, larger one (e.g. a FileStore).
+ *
+ * Reads are served from the front store when its copy is still that of the
+ * back store, otherwise from the back store and copied to the front. Writes
+ * go to both. Locks are taken on the back store, since that's the one shared
+ * between processes (which may change or remove entries through it).
+ *
+ * Every method returns a generator or thunk, to be yielded like those
+ * of the other stores (except createWriteStream).
+ *
+ * @param {Store} front
+ * @param {Store} back
+ * @constructor
+*/
+
+function TieredStore(front, back) {
+    if (!(this instanceof TieredStore)) return new TieredStore(front, back);
+
+    this.front = front;
+    this.back = back;
+}
+module.exports = TieredStore;
+
+// Stats ({size, mtime}) of name, or null if it doesn't exist
+TieredStore.prototype.stat = function*(name) {
+    var stats = yield this.back.stat(name);
+    if (!stats) yield this.front.del(name);
+    return stats;
+};
+
+// Contents of name, or null if it doesn't exist
+TieredStore.prototype.get = function*(name) {
+    var stats = yield this.back.stat(name);
+    var data = (yield this.current(name, stats)) && (yield this.front.get(name));
+    if (data) return data;
+
+    return stats && (yield this.promote(name));
+};
+
+// Store data as name in both stores
+TieredStore.prototype.put = function*(name, data, options) {
+    yield this.back.put(name, data, options);
+
+    // Keep the same modified time in front, it decides when it expires
+    var stats = yield this.back.stat(name);
+    yield this.front.put(name, data, {mtime: stats? stats.mtime : (options && options.mtime)});
+};
+
+// Writable stream to name in the back store, the (now outdated)
+//  front copy is removed once it's written
+TieredStore.prototype.createWriteStream = function(name) {
+    var front = this.front;
+    var stream = this.back.createWriteStream(name);
+    stream.on('finish', function() {
+        co(function*() {
+            yield front.del(name);
+        }).catch(function() {});
+    });
+    return stream;
+};
+
+// Remove name from both stores
+TieredStore.prototype.del = function*(name) {
+    yield this.front.del(name);
+    yield this.back.del(name);
+};
+
+// Names of everything stored (the front only holds copies of the back)
+TieredStore.prototype.list = function() {
+    return this.back.list();
+};
+
+// Readable stream of name (options.start/end to read a part),
+//  or null if it doesn't exist
+TieredStore.prototype.stream = function*(name, options) {
+    var stats = yield this.back.stat(name);
+    var stream = (yield this.current(name, stats)) && (yield this.front.stream(name, options));
+    if (stream) return stream;
+
+    // Bring it to the front for the next time around
+    if (!stats || !(yield this.promote(name))) return null;
+    return (yield this.front.stream(name, options)) || (yield this.back.stream(name, options));
+};
+
+TieredStore.prototype.lock = function(name) {
+    return this.back.lock(name);
+};
+
+TieredStore.prototype.unlock = function(name, token) {
+    return this.back.unlock(name, token);
+};
+
+TieredStore.prototype.refresh = function(name, token) {
+    return this.back.refresh(name, token);
+};
+
+// Whether the front copy of name is that of the back store (with stats), one since changed
+//  or removed through the back store (e.g. by another process) is dropped from the front
+TieredStore.prototype.current = function*(name, stats) {
+    var front = yield this.front.stat(name);
+    if (!front) return false;
+    if (stats && front.size === stats.size && front.mtime.getTime() === stats.mtime.getTime()) return true;
+
+    yield this.front.del(name);
+    return false;
+};
+
+// Copy name from the back to the front store, returns its contents
+TieredStore.prototype.promote = function*(name) {
+    var stats = yield this.back.stat(name);
+    var data = stats && (yield this.back.get(name));
+    if (!data) return null;
+
+    yield this.front.put(name, data, {mtime: stats.mtime});
+    return data;
+};
@@ -0,0 +1,249 @@
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var co = require('co');
+var debug = require('debug')('cache');
+var entries = require('./entries');
+
+/**
+ * Sweeper
+ * Keeps an index of the entries in a store (rebuilt by scanning it on start),
+ * periodically removing the expired ones, then evicting the least recently
+ * or frequently used ones until they fit in maxSize and maxEntries.
+ *
+ * Emits 'evict' with {key, reason} ('expired' or 'size') for every entry removed,
+ * and 'error' (if anyone's listening) when it fails to index or sweep.
+ *
+ * @param {Store} store
+ * @param {Object} [options]
+ *      maxSize: {Number} Size in bytes the entries may take up in total
+ *      maxEntries: {Number} Number of entries there may be
+ *      eviction: {String} Which entries go first once over budget, 'lru' or 'lfu'
+ *      sweepInterval: {Number} Time in milliseconds between sweeps
+ *      cacheTime: {Number} Time in milliseconds an entry without metadata is allowed
+ *      grace: {Number} Time in milliseconds an expired entry is kept around (to be sent stale)
+ * @constructor
+*/
+
+function Sweeper(store, options) {
+    if (!(this instanceof Sweeper)) return new Sweeper(store, options);
+    EventEmitter.call(this);
+    options = options || {};
+
+    this.store = store;
+    this.maxSize = options.maxSize || Infinity;
+    this.maxEntries = options.maxEntries || Infinity;
+    this.eviction = (options.eviction === 'lfu')? 'lfu' : 'lru'; // default lru
+    this.sweepInterval = options.sweepInterval || 1000*60; // default 60 seconds
+    this.cacheTime = options.cacheTime || 1000*60;
+    this.grace = options.grace || 0;
+
+    this.size = 0;
+    this.count = 0;
+    this.index = {}; // fileName -> {size, expires, used, hits}
+    this.timer = null;
+    this.current = null; // the last sweep queued
+    this.queued = null; // a sweep that hasn't started yet
+    this.reindex = false; // whether it's to re-index the entries first
+}
+util.inherits(Sweeper, EventEmitter);
+module.exports = Sweeper;
+
+// Log a failure, and emit it if anyone is listening
+Sweeper.prototype.fail = function(message, err, fileName) {
+    debug(message, err);
+    if (this.listeners('error').length) this.emit('error', err, {key: fileName});
+};
+
+// Rebuild the index and sweep every sweepInterval
+Sweeper.prototype.start = function() {
+    var self = this;
+    this.current = co(this.rebuild()).catch(function(err) {
+        self.fail("Unable to index the cache", err);
+    });
+
+    this.timer = setInterval(function() {
+        self.run(true);
+    }, this.sweepInterval);
+    if (this.timer.unref) this.timer.unref();
+    return this;
+};
+
+Sweeper.prototype.stop = function() {
+    clearInterval(this.timer);
+    this.timer = null;
+};
+
+// Index every entry in the store, keeping those updated in the meantime
+Sweeper.prototype.rebuild = function*() {
+    var fileNames = yield entries.list(this.store);
+    for (var i=0; i<fileNames.length; i++) {
+        if (this.index[fileNames[i]]) continue;
+
+        var record = yield this.load(fileNames[i]);
+        if (record && !this.index[fileNames[i]]) this.add(fileNames[i], record);
+    }
+    debug("Indexed "+this.count+" cache entries ("+this.size+" bytes)");
+};
+
+// Size and expiry of an entry, from its files, or null if it has no content
+Sweeper.prototype.load = function*(fileName) {
+    var files = entries.files(fileName);
+    var size = 0;
+    var mtime = 0;
+    for (var i=0; i<files.length; i++) {
+        var stats = yield this.store.stat(files[i]);
+        if (!stats) continue;
+
+        size += stats.size;
+        if (i < files.length-1) mtime = Math.max(mtime, stats.mtime.getTime());
+    }
+    if (!mtime) return null;
+
+    var meta = yield entries.meta(this.store, fileName);
+    return {
+        size: size,
+        expires: (meta && meta.expires) || mtime + this.cacheTime,
+        used: mtime,
+        hits: 0
+    };
+};
+
+// Re-index the entries as they are in the store, others (e.g. another process
+//  or the command line tool) may have removed or rewritten them
+Sweeper.prototype.reload = function*() {
+    var fileNames = Object.keys(this.index);
+    for (var i=0; i<fileNames.length; i++) {
+        var record = yield this.load(fileNames[i]);
+        var previous = this.index[fileNames[i]];
+        if (!previous) continue;
+
+        if (!record) {
+            this.remove(fileNames[i]);
+            continue;
+        }
+        record.used = previous.used;
+        record.hits = previous.hits;
+        this.add(fileNames[i], record);
+    }
+};
+
+Sweeper.prototype.add = function(fileName, record) {
+    this.remove(fileName);
+    this.index[fileName] = record;
+    this.size += record.size;
+    this.count++;
+};
+
+Sweeper.prototype.remove = function(fileName) {
+    var record = this.index[fileName];
+    if (!record) return;
+
+    delete this.index[fileName];
+    this.size -= record.size;
+    this.count--;
+};
+
+// Record a hit on an entry
+Sweeper.prototype.touch = function(fileName) {
+    var record = this.index[fileName];
+    if (!record) return;
+
+    record.used = Date.now();
+    record.hits++;
+};
+
+// Re-index an entry after it's been written, sweeping if that put us over budget
+Sweeper.prototype.update = function*(fileName) {
+    try {
+        var record = yield this.load(fileName);
+    }
+    catch (err) {
+        this.fail("Unable to index "+fileName, err, fileName);
+        return;
+    }
+
+    if (!record) {
+        this.remove(fileName);
+        return;
+    }
+    var previous = this.index[fileName];
+    if (previous) record.hits = previous.hits;
+    record.used = Date.now();
+    this.add(fileName, record);
+
+    if (this.size > this.maxSize || this.count > this.maxEntries) this.run();
+};
+
+// Queue a sweep (unless one is already waiting), resolves to the names removed.
+//  With reindex, the entries are re-indexed first (see reload).
+Sweeper.prototype.run = function(reindex) {
+    var self = this;
+    if (reindex) this.reindex = true;
+    if (this.queued) return this.queued;
+
+    var queued = this.queued = Promise.resolve(this.current).then(function() {
+        self.queued = null;
+        return co(self.sweep());
+    }).catch(function(err) {
+        self.fail("Unable to sweep the cache", err);
+        return [];
+    });
+    this.current = queued;
+    return queued;
+};
+
+// Remove the expired entries, then the least used ones while over budget
+Sweeper.prototype.sweep = function*() {
+    var self = this;
+    var removed = [];
+
+    if (this.reindex) {
+        this.reindex = false;
+        yield this.reload();
+    }
+    var now = Date.now();
+
+    var fileNames = Object.keys(this.index);
+    for (var i=0; i<fileNames.length; i++) {
+        var record = this.index[fileNames[i]];
+        if (record && now > record.expires + this.grace) {
+            if (yield this.evict(fileNames[i], 'expired')) removed.push(fileNames[i]);
+        }
+    }
+
+    if (this.size <= this.maxSize && this.count <= this.maxEntries) return removed;
+
+    fileNames = Object.keys(this.index).sort(function(a, b) {
+        a = self.index[a];
+        b = self.index[b];
+        if (self.eviction === 'lfu' && a.hits !== b.hits) return a.hits - b.hits;
+        return a.used - b.used;
+    });
+    for (i=0; i<fileNames.length; i++) {
+        if (this.size <= this.maxSize && this.count <= this.maxEntries) break;
+        if (yield this.evict(fileNames[i], 'size')) removed.push(fileNames[i]);
+    }
+    return removed;
+};
+
+// Remove an entry, unless it's being written
+Sweeper.prototype.evict = function*(fileName, reason) {
+    if (!this.index[fileName]) return false;
+    var token = yield this.store.lock(fileName);
+    if (!token) {
+        debug("Not evicting "+fileName+", it's locked");
+        return false;
+    }
+
+    try {
+        debug("Evicting "+fileName+" ("+reason+")");
+        yield entries.del(this.store, fileName);
+        this.remove(fileName);
+    }
+    finally {
+        yield this.store.unlock(fileName, token);
+    }
+
+    this.emit('evict', {key: fileName, reason: reason});
+    return true;
+};
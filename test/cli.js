@@ -0,0 +1,134 @@
+var request = require('supertest');
+var execFile = require('child_process').execFile;
+var fs = require('fs');
+var koa = require('koa');
+var co = require('co');
+var Cache = require('..');
+
+// Output folder
+var folder = 'test/output';
+
+// Helper to create a random file name/number
+function createRandomID() {
+    return Math.random() * 1e17;
+}
+
+// Helper to run the CLI, resolving to its exit code and output
+function cli(args) {
+    return function(cb) {
+        execFile(process.execPath, ['bin/koa-file-cache.js'].concat(args), function(err, stdout, stderr) {
+            cb(void 0, {code: err? err.code : 0, stdout: stdout, stderr: stderr});
+        });
+    };
+}
+
+// Helper to cache the responses to paths in a new folder (their cacheName being the path),
+//  those under /expired expiring right away, and those with ?vary varying on Accept-Language
+function* populate(paths) {
+    var cacheFolder = folder + '/cli-' + createRandomID();
+    fs.mkdirSync(cacheFolder);
+
+    var app = koa();
+    app.use(function*(next) {
+        this.cacheName = this.path.slice(1).replace(/\//g, '.');
+        if (/^\/expired/.test(this.path)) this.cacheTime = 1;
+        yield next;
+    });
+    app.use(Cache({folder: cacheFolder}));
+    app.use(function*(next) {
+        var obj = {path: this.path, arr: []};
+        if (this.query.large) {
+            for (var i=0; i<1000; i++) obj.arr.push("test");
+        }
+        if (this.query.vary) this.vary('Accept-Language');
+        this.body = obj;
+    });
+
+    var server = app.listen();
+    for (var i=0; i<paths.length; i++) {
+        var req = request(server).get(paths[i]).expect(200);
+        yield req.end.bind(req);
+    }
+    return cacheFolder;
+}
+
+describe('CLI', function() {
+
+    it('should list the entries and their state', function(done) {
+        co(function*() {
+            var cacheFolder = yield populate(['/users/1', '/expired/1', '/large?large=1']);
+            var result = yield cli(['list', '--folder', cacheFolder, '--json']);
+            result.code.should.equal(0);
+
+            var list = JSON.parse(result.stdout);
+            list.map(function(entry) { return entry.key; }).sort().should.eql(['expired.1', 'large', 'users.1']);
+            list.forEach(function(entry) {
+                entry.state.should.equal(entry.key === 'expired.1'? 'expired' : 'fresh');
+                entry.encodings.should.eql([entry.key === 'large'? 'gzip' : 'identity']);
+                entry.size.should.be.above(0);
+            });
+
+            result = yield cli(['list', '--folder', cacheFolder]);
+            result.stdout.should.match(/^KEY\s+SIZE\s+AGE\s+ENCODINGS\s+STATE\n/);
+            result.stdout.should.match(/\nlarge\s+\d+ B\s+\d+s\s+gzip\s+fresh/);
+
+            result = yield cli(['stats', '--folder', cacheFolder, '--json']);
+            var stats = JSON.parse(result.stdout);
+            stats.entries.should.equal(3);
+            stats.expired.should.equal(1);
+            stats.encodings.should.eql({identity: 2, gzip: 1});
+        }).then(done, done);
+    });
+
+    it('should show an entry uncompressed', function(done) {
+        co(function*() {
+            var cacheFolder = yield populate(['/large?large=1']);
+            var result = yield cli(['show', 'large', '--folder', cacheFolder]);
+            result.code.should.equal(0);
+            result.stdout.should.containEql('Encodings: gzip');
+            result.stdout.should.containEql('{\n  "path": "/large",');
+
+            result = yield cli(['show', 'large', '--folder', cacheFolder, '--json']);
+            var entry = JSON.parse(result.stdout);
+            entry.body.arr.should.have.length(1000);
+            entry.meta.etag.should.be.type('string');
+
+            // One whose responses vary, with its variants
+            cacheFolder = yield populate(['/page?vary=1']);
+            result = yield cli(['show', 'page', '--folder', cacheFolder]);
+            result.code.should.equal(0);
+            result.stdout.should.containEql('Varies on: accept-language');
+            result.stdout.should.match(/\nVARIANT\s+SIZE\s+AGE\s+STATE\npage~[0-9a-f]+\s+\d+ B\s+\d+s\s+fresh/);
+
+            result = yield cli(['show', 'none', '--folder', cacheFolder]);
+            result.code.should.equal(1);
+            result.stderr.should.containEql('No entry none');
+        }).then(done, done);
+    });
+
+    it('should delete entries by key or glob, and purge the expired ones', function(done) {
+        co(function*() {
+            var cacheFolder = yield populate(['/users/1', '/users/2', '/posts/1', '/expired/1', '/expired/2']);
+
+            var result = yield cli(['delete', 'users.*', '--folder', cacheFolder, '--json']);
+            result.code.should.equal(0);
+            JSON.parse(result.stdout).sort().should.eql(['users.1', 'users.2']);
+            fs.existsSync(cacheFolder + '/users.1.meta').should.be.false;
+
+            result = yield cli(['purge', '--folder', cacheFolder, '--json']);
+            JSON.parse(result.stdout).sort().should.eql(['expired.1', 'expired.2']);
+
+            fs.readdirSync(cacheFolder).sort().should.eql(['posts.1', 'posts.1.meta']);
+        }).then(done, done);
+    });
+
+    it('should fail on an unknown command', function(done) {
+        co(function*() {
+            var result = yield cli(['nope']);
+            result.code.should.equal(1);
+            result.stderr.should.containEql('Unknown command nope');
+            result.stderr.should.containEql('Usage:');
+        }).then(done, done);
+    });
+
+});
@@ -1,9 +1,31 @@
 var request = require('supertest');
+var http = require('http');
+var Readable = require('stream').Readable;
 var compress = require('koa-compress');
 var fs = require('fs');
-var koa = require('koa');
+var zlib = require('zlib');
+var co = require('co');
 var Cache = require('..');
 
+// The suite runs against the generator middleware on koa 0.x,
+//  or with KOA_CACHE_FLAVOR=async against the async one on koa 2
+var koa = require('koa');
+if (process.env.KOA_CACHE_FLAVOR === 'async') {
+    var Koa = require('koa2');
+    koa = function() {
+        return new Koa();
+    };
+    Cache = (function(Cache) {
+        var AsyncCache = function(options) {
+            return Cache.async(options);
+        };
+        Object.keys(Cache).forEach(function(key) {
+            AsyncCache[key] = Cache[key];
+        });
+        return AsyncCache;
+    })(Cache);
+}
+
 // Output folder
 var folder = 'test/output';
 
@@ -33,6 +55,21 @@ function createRandomID() {
     return Math.random() * 1e17;
 }
 
+// Helper to create a stream body, sending count chunks every interval ms
+//  and failing instead of ending if error is given
+function streamBody(count, interval, error) {
+    var sent = 0;
+    var stream = new Readable();
+    stream._read = function() {
+        setTimeout(function() {
+            if (sent++ < count) stream.push('test,');
+            else if (error) stream.emit('error', error);
+            else stream.push(null);
+        }, interval);
+    };
+    return stream;
+}
+
 function setCacheName(cacheName) {
     return function*(next) {
         this.cacheName = cacheName;
@@ -40,6 +77,15 @@ function setCacheName(cacheName) {
     };
 }
 
+// Helper to write a cache file that was last modified age milliseconds ago
+function writeCacheFile(id, body, age) {
+    var file = folder + '/' + id;
+    var time = new Date(Date.now() - age);
+    fs.writeFileSync(file, JSON.stringify(body));
+    fs.utimesSync(file, time, time);
+    return file;
+}
+
 function isGzipped(buf) {
     if (Buffer.isBuffer(buf)) {
         // gzip magic numbers
@@ -291,9 +337,13 @@ describe('Koa-Cache', function() {
     });
 
     it('should ignore any expired cache', function(done) {
+        // Expiry is saved along with a cache, so make one that's expired already
+        var id = createRandomID();
+        writeCacheFile(id, {expired: true}, 1000*90);
+
         var app = koa();
-        app.use(setCacheName(sharedFileID));
-        app.use(Cache({folder: folder, cacheTime:-1}));
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
         app.use(largeBody);
         app.use(function*(next) {
             this.caching = false; // don't save over largeBody
@@ -346,9 +396,12 @@ describe('Koa-Cache', function() {
         ;
     });
 
-    it('should send correct type when sending directly from file', function(done) {
+    it('should send correct type when sending directly from file (without metadata)', function(done) {
+        var id = createRandomID();
+        writeCacheFile(id, {test:"test"}, 0);
+
         var app = koa();
-        app.use(setCacheName(sharedFileID));
+        app.use(setCacheName(id));
         app.use(Cache({folder: folder, type:'text'}));
         app.use(largeBody);
 
@@ -442,7 +495,2503 @@ describe('Koa-Cache', function() {
         ;
     });
 
-    //it('should fallback (w/ delegate=false) to middleware if something goes wrong with cache (direct) ');
-    //it('should fallback (w/ delegate=false) to middleware if something goes wrong with cache (indirect, no encoding and must uncompress)');
+    it('should only run downstream once for concurrent requests', function(done) {
+        var id = createRandomID();
+        var calls = 0;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
+        app.use(function*(next) {
+            calls++;
+            yield function(cb) { setTimeout(cb, 100); };
+            yield next;
+        });
+        app.use(largeBody);
+
+        var server = app.listen();
+        var pending = 5;
+        for (var i=0; i<5; i++) {
+            request(server)
+                .get('/')
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) return done(err);
+                    if (!isLargeBody(JSON.parse(res.text)))
+                        return done(new Error("Data returned is not correct"));
+
+                    if (--pending) return;
+                    if (calls !== 1) done(new Error("Downstream ran "+calls+" times"));
+                    else done();
+                })
+            ;
+        }
+    });
+
+    it('should only run downstream once for concurrent requests of a stream', function(done) {
+        var id = createRandomID();
+        var calls = 0;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
+        app.use(function*(next) {
+            calls++;
+            this.body = streamBody(20, 10);
+        });
+
+        var server = app.listen();
+        var pending = 5;
+        for (var i=0; i<5; i++) {
+            request(server)
+                .get('/')
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) return done(err);
+                    if (res.text !== new Array(21).join('test,'))
+                        return done(new Error("Data returned is not correct"));
+
+                    if (--pending) return;
+                    if (calls !== 1) done(new Error("Downstream ran "+calls+" times"));
+                    else done();
+                })
+            ;
+        }
+    });
+
+    it('should wait for a lock held by another process', function(done) {
+        var id = createRandomID();
+        var file = folder + '/' + id;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
+        app.use(function*(next) {
+            // the other process already wrote it
+            this.should.not.be.ok;
+        });
+
+        fs.writeFileSync(file+'.lock', '');
+        setTimeout(function() {
+            fs.writeFileSync(file, JSON.stringify({test:"test"}));
+            fs.unlinkSync(file+'.lock');
+        }, 100);
+
+        request(app.listen())
+            .get('/')
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                if (!isSmallBody(JSON.parse(res.text))) {
+                    done(new Error("Data returned is not correct"));
+                }
+                else {
+                    done();
+                }
+            })
+        ;
+    });
+
+    it('should take over an abandoned lock (lockTimeout)', function(done) {
+        var id = createRandomID();
+        var file = folder + '/' + id;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, lockTimeout: 50}));
+        app.use(smallBody);
+
+        fs.writeFileSync(file+'.lock', '');
+
+        request(app.listen())
+            .get('/')
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                if (fs.existsSync(file+'.lock')) done(new Error("Lock was not released"));
+                else if (!fs.existsSync(file)) done(new Error("Cache file was not created"));
+                else done();
+            })
+        ;
+    });
+
+    it('should send stale cache and revalidate in the background (staleWhileRevalidate)', function(done) {
+        var id = createRandomID();
+        var file = writeCacheFile(id, {test:"test"}, 1000*90);
+        var calls = 0;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, staleWhileRevalidate: 1000*60}));
+        app.use(function*(next) {
+            calls++;
+            yield next;
+        });
+        app.use(largeBody);
+
+        request(app.listen())
+            .get('/')
+            .expect(200)
+            .expect('X-Cache', 'STALE')
+            .expect('Warning', /^110/)
+            .expect('Cache-Control', /stale-while-revalidate=60/)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                if (!isSmallBody(JSON.parse(res.text)))
+                    return done(new Error("Stale data was not sent"));
+
+                // Wait for the background refresh to land
+                (function check(tries) {
+                    if (fs.existsSync(file+'.gz') && !fs.existsSync(file+'.lock')) {
+                        if (calls !== 1) done(new Error("Downstream ran "+calls+" times"));
+                        else done();
+                    }
+                    else if (!tries) done(new Error("Cache was not refreshed"));
+                    else setTimeout(check, 20, tries-1);
+                })(50);
+            })
+        ;
+    });
+
+    it('should not send stale cache past staleWhileRevalidate', function(done) {
+        var id = createRandomID();
+        writeCacheFile(id, {test:"test"}, 1000*90);
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, staleWhileRevalidate: 1000*10}));
+        app.use(largeBody);
+
+        request(app.listen())
+            .get('/')
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                if (res.headers['x-cache'] !== 'MISS') done(new Error("Stale header was sent"));
+                else if (!isLargeBody(JSON.parse(res.text))) done(new Error("Data returned is not correct"));
+                else done();
+            })
+        ;
+    });
+
+    it('should send stale cache if downstream throws (staleIfError)', function(done) {
+        var id = createRandomID();
+        writeCacheFile(id, {test:"test"}, 1000*90);
+
+        var app = koa();
+        app.use(setCacheName(id));
+        var reported = null;
+        app.use(Cache({folder: folder, staleIfError: 1000*60, onError: function(err, info) {
+            reported = info;
+        }}));
+        app.use(function*(next) {
+            throw new Error("Heavy DB query failed");
+        });
+
+        request(app.listen())
+            .get('/')
+            .expect(200)
+            .expect('X-Cache', 'STALE')
+            .expect('Warning', /^111/)
+            .expect('Cache-Control', /stale-if-error=60/)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                if (!isSmallBody(JSON.parse(res.text))) done(new Error("Stale data was not sent"));
+                else if (!reported || reported.operation !== 'downstream') done(new Error("Downstream failure was not reported"));
+                else done();
+            })
+        ;
+    });
+
+    it('should send stale cache if downstream responds with 5xx (staleIfError)', function(done) {
+        var id = createRandomID();
+        var file = writeCacheFile(id, {test:"test"}, 1000*90);
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, staleIfError: 1000*60}));
+        app.use(function*(next) {
+            this.status = 503;
+            this.body = {error: "unavailable"};
+        });
+
+        request(app.listen())
+            .get('/')
+            .expect(200)
+            .expect('X-Cache', 'STALE')
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                if (!isSmallBody(JSON.parse(res.text))) done(new Error("Stale data was not sent"));
+                else if (!isSmallBody(JSON.parse(fs.readFileSync(file)))) done(new Error("Error was cached"));
+                else done();
+            })
+        ;
+    });
+
+    it('should not send stale cache past staleIfError', function(done) {
+        var id = createRandomID();
+        writeCacheFile(id, {test:"test"}, 1000*90);
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, staleIfError: 1000*10}));
+        app.use(function*(next) {
+            throw new Error("Heavy DB query failed");
+        });
+
+        request(app.listen())
+            .get('/')
+            .expect(500)
+            .end(done)
+        ;
+    });
+
+    it('should not leave temp files behind when saving', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
+        app.use(largeBody);
+
+        request(app.listen())
+            .get('/')
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                var leftovers = fs.readdirSync(folder).filter(function(file) {
+                    return file.indexOf(String(id)) === 0 && /\.tmp$/.test(file);
+                });
+                if (leftovers.length) done(new Error("Temp files were left behind"));
+                else if (!fs.existsSync(folder + '/' + id + '.gz')) done(new Error("Cache file was not created"));
+                else done();
+            })
+        ;
+    });
+
+    it('should sweep leftover temp files on startup', function(done) {
+        var sweepFolder = folder + '/sweep-' + createRandomID();
+        fs.mkdirSync(sweepFolder);
+
+        // From a previous run with the same pid, and being written by this and another process
+        var abandoned = sweepFolder + '/a.' + process.pid + '.x1.tmp';
+        var inProgress = sweepFolder + '/b.' + process.ppid + '.x2.tmp';
+        var ownInProgress = sweepFolder + '/c.' + process.pid + '.x3.tmp';
+        fs.writeFileSync(abandoned, 'partial');
+        fs.writeFileSync(inProgress, 'partial');
+        fs.writeFileSync(ownInProgress, 'partial');
+        var past = new Date(Date.now() - process.uptime()*1000 - 60*1000);
+        fs.utimesSync(abandoned, past, past);
+
+        Cache({folder: sweepFolder});
+        Cache({folder: './' + sweepFolder + '/'});
+
+        (function check(tries) {
+            if (!fs.existsSync(abandoned)) {
+                if (!fs.existsSync(inProgress) || !fs.existsSync(ownInProgress))
+                    done(new Error("Temp file still being written was removed"));
+                else done();
+            }
+            else if (!tries) done(new Error("Temp file was not removed"));
+            else setTimeout(check, 20, tries-1);
+        })(50);
+    });
+
+    it('should send the newer of the plain and gzipped cache files', function(done) {
+        var id = createRandomID();
+        var file = folder + '/' + id;
+        var old = new Date(Date.now() - 1000*10);
+
+        fs.writeFileSync(file+'.gz', zlib.gzipSync(JSON.stringify({arr: []})));
+        fs.utimesSync(file+'.gz', old, old);
+        fs.writeFileSync(file, JSON.stringify({test:"test"}));
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
+        app.use(function*(next) {
+            // this should never happen
+            this.should.not.be.ok;
+        });
+
+        request(app.listen())
+            .get('/')
+            .set('Accept-Encoding', 'gzip')
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                if (!isSmallBody(JSON.parse(res.text))) done(new Error("Older cache file was sent"));
+                else done();
+            })
+        ;
+    });
+
+    it('should cache in and send from another store (MemoryStore)', function(done) {
+        var id = createRandomID();
+        var store = new Cache.MemoryStore();
+        var calls = 0;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({store: store}));
+        app.use(function*(next) {
+            calls++;
+            yield next;
+        });
+        app.use(largeBody);
+
+        var server = app.listen();
+        request(server)
+            .get('/')
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                if (fs.existsSync('./' + id + '.gz')) return done(new Error("Cache file was created"));
+
+                request(server)
+                    .get('/')
+                    .set('Accept-Encoding', 'gzip')
+                    .expect(200)
+                    .expect('Content-Encoding', 'gzip')
+                    .end(function(err, res) {
+                        if (err) return done(err);
+
+                        if (!isLargeBody(JSON.parse(res.text))) done(new Error("Data returned is not correct"));
+                        else if (calls !== 1) done(new Error("Downstream ran "+calls+" times"));
+                        else done();
+                    })
+                ;
+            })
+        ;
+    });
+
+    it('should store metadata alongside the cache', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, statuses: [200, 201]}));
+        app.use(function*(next) {
+            this.status = 201;
+            this.set('Content-Language', 'fr');
+            this.set('X-Not-Stored', 'true');
+            yield next;
+        });
+        app.use(smallBody);
+
+        request(app.listen())
+            .get('/')
+            .expect(201)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                var meta = JSON.parse(fs.readFileSync(folder + '/' + id + '.meta'));
+                meta.status.should.equal(201);
+                meta.headers.should.eql({'content-language': 'fr'});
+                meta.type.should.match(/^application\/json/);
+                meta.length.should.equal(JSON.stringify({test:"test"}).length);
+                (meta.expires - meta.created).should.equal(1000*60);
+                done();
+            })
+        ;
+    });
+
+    it('should replay the status, headers and type from metadata', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, headers: ['Content-Language', 'X-Custom'], statuses: [200, 203]}));
+        app.use(function*(next) {
+            yield next;
+            this.status = 203;
+            this.set('Content-Language', 'fr');
+            this.set('X-Custom', 'custom');
+            this.type = 'html';
+            this.body = '<p>test</p>';
+        });
+
+        var server = app.listen();
+        request(server)
+            .get('/')
+            .expect(203)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                request(server)
+                    .get('/')
+                    .expect(203)
+                    .expect('X-Cache', 'HIT')
+                    .expect('Content-Language', 'fr')
+                    .expect('X-Custom', 'custom')
+                    .expect('Content-Type', /^text\/html/)
+                    .expect('<p>test</p>')
+                    .end(done)
+                ;
+            })
+        ;
+    });
+
+    it('should send the same ETag on a miss and a hit', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
+        app.use(largeBody);
+
+        var server = app.listen();
+        request(server)
+            .get('/')
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                var etag = res.headers['etag'];
+                if (!/^"[0-9a-f]+-[^"]+"$/.test(etag)) return done(new Error("ETag was not sent"));
+
+                request(server)
+                    .get('/')
+                    .expect(200)
+                    .expect('ETag', etag)
+                    .end(done)
+                ;
+            })
+        ;
+    });
+
+    it('should follow If-None-Match (match / 304)', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
+        app.use(smallBody);
+
+        var server = app.listen();
+        request(server)
+            .get('/')
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                request(server)
+                    .get('/')
+                    .set('If-None-Match', '"other", W/' + res.headers['etag'])
+                    .expect(304)
+                    .end(done)
+                ;
+            })
+        ;
+    });
+
+    it('should follow If-None-Match over If-Modified-Since (no match / 200)', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
+        app.use(smallBody);
+
+        var server = app.listen();
+        request(server)
+            .get('/')
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                request(server)
+                    .get('/')
+                    .set('If-None-Match', '"other"')
+                    .set('If-Modified-Since', new Date())
+                    .expect(200)
+                    .end(function(err, res) {
+                        if (err) return done(err);
+
+                        if (!isSmallBody(JSON.parse(res.text))) done(new Error("Data returned is not correct"));
+                        else done();
+                    })
+                ;
+            })
+        ;
+    });
+
+    it('should send a byte range of an uncompressed cache (206)', function(done) {
+        var id = createRandomID();
+        var body = JSON.stringify({test:"test"});
+        writeCacheFile(id, {test:"test"}, 0);
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, type: 'text'}));
+
+        request(app.listen())
+            .get('/')
+            .set('Range', 'bytes=2-5')
+            .expect(206)
+            .expect('Accept-Ranges', 'bytes')
+            .expect('Content-Range', 'bytes 2-5/' + body.length)
+            .expect(body.substring(2, 6))
+            .end(done)
+        ;
+    });
+
+    it('should send a byte range of a gzipped cache uncompressed (206)', function(done) {
+        var id = createRandomID();
+        var body = JSON.stringify({arr: new Array(10e4).join('test,').split(',')});
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, type: 'text'}));
+        app.use(function*(next) {
+            this.type = 'text';
+            this.body = body;
+        });
+
+        var server = app.listen();
+        request(server)
+            .get('/')
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                request(server)
+                    .get('/')
+                    .set('Accept-Encoding', 'gzip')
+                    .set('Range', 'bytes=-100')
+                    .expect(206)
+                    .expect('Content-Range', 'bytes ' + (body.length-100) + '-' + (body.length-1) + '/' + body.length)
+                    .end(function(err, res) {
+                        if (err) return done(err);
+
+                        if (res.headers['content-encoding']) done(new Error("Range was sent compressed"));
+                        else if (res.text !== body.substring(body.length-100)) done(new Error("Data returned is not correct"));
+                        else done();
+                    })
+                ;
+            })
+        ;
+    });
+
+    it('should not send an unsatisfiable byte range (416)', function(done) {
+        var id = createRandomID();
+        var body = JSON.stringify({test:"test"});
+        writeCacheFile(id, {test:"test"}, 0);
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
+
+        request(app.listen())
+            .get('/')
+            .set('Range', 'bytes=1000-')
+            .expect(416)
+            .expect('Content-Range', 'bytes */' + body.length)
+            .end(done)
+        ;
+    });
+
+    it('should send everything if If-Range does not match (200)', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
+        app.use(smallBody);
+
+        var server = app.listen();
+        request(server)
+            .get('/')
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                var etag = res.headers['etag'];
+                request(server)
+                    .get('/')
+                    .set('Range', 'bytes=0-1')
+                    .set('If-Range', '"other"')
+                    .expect(200)
+                    .end(function(err, res) {
+                        if (err) return done(err);
+                        if (!isSmallBody(JSON.parse(res.text))) return done(new Error("Data returned is not correct"));
+
+                        request(server)
+                            .get('/')
+                            .set('Range', 'bytes=0-1')
+                            .set('If-Range', etag)
+                            .expect(206)
+                            .expect('{"')
+                            .end(done)
+                        ;
+                    })
+                ;
+            })
+        ;
+    });
+
+    it('should cache to disk in every encoding (encodings)', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, encodings: ['br', 'gzip'], compressionLevels: {br: 4}}));
+        app.use(largeBody);
+
+        request(app.listen())
+            .get('/')
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                var file = folder + '/' + id;
+                if (!isGzipped(fs.readFileSync(file + '.gz'))) return done(new Error('Cache file is not gzipped'));
+                if (!isLargeBody(JSON.parse(zlib.brotliDecompressSync(fs.readFileSync(file + '.br')))))
+                    return done(new Error('Cache file is not brotli compressed'));
+                if (fs.existsSync(file)) return done(new Error('Uncompressed cache file was created'));
+                done();
+            })
+        ;
+    });
+
+    it('should send the best encoding the client accepts', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, encodings: ['br', 'gzip']}));
+        app.use(largeBody);
+
+        var server = app.listen();
+        request(server)
+            .get('/')
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                request(server)
+                    .get('/')
+                    .set('Accept-Encoding', 'gzip;q=0.5, br')
+                    .expect(200)
+                    .expect('Content-Encoding', 'br')
+                    .end(function(err, res) {
+                        if (err) return done(err);
+
+                        request(server)
+                            .get('/')
+                            .set('Accept-Encoding', 'gzip')
+                            .expect(200)
+                            .expect('Content-Encoding', 'gzip')
+                            .end(function(err, res) {
+                                if (err) return done(err);
+
+                                if (!isLargeBody(JSON.parse(res.text))) done(new Error("Data returned is not correct"));
+                                else done();
+                            })
+                        ;
+                    })
+                ;
+            })
+        ;
+    });
+
+    it('should create a missing encoding from another and write it back', function(done) {
+        var id = createRandomID();
+        var file = folder + '/' + id;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, encodings: ['gzip']}));
+        app.use(largeBody);
+
+        var server = app.listen();
+        request(server)
+            .get('/')
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                var app = koa();
+                app.use(setCacheName(id));
+                app.use(Cache({folder: folder, encodings: ['br', 'gzip']}));
+                app.use(function*(next) {
+                    // this should never happen
+                    this.should.not.be.ok;
+                });
+
+                request(app.listen())
+                    .get('/')
+                    .set('Accept-Encoding', 'br')
+                    .expect(200)
+                    .expect('Content-Encoding', 'br')
+                    .end(function(err, res) {
+                        if (err) return done(err);
+
+                        if (!fs.existsSync(file + '.br')) return done(new Error('Encoding was not written back'));
+                        if (fs.statSync(file + '.br').mtime.getTime() > fs.statSync(file + '.gz').mtime.getTime())
+                            return done(new Error('Encoding written back extends the cache'));
+                        done();
+                    })
+                ;
+            })
+        ;
+    });
+
+    it('should cache stream bodies as they are sent', function(done) {
+        var id = createRandomID();
+        var body = new Array(501).join('test,');
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
+        app.use(function*(next) {
+            this.type = 'text';
+            this.body = streamBody(500, 0);
+        });
+
+        var server = app.listen();
+        request(server)
+            .get('/')
+            .expect(200)
+            .expect(body)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                // Committed once the stream has ended
+                setTimeout(function() {
+                    var file = folder + '/' + id;
+                    if (!fs.existsSync(file + '.gz')) return done(new Error('Cache file was not created'));
+                    if (zlib.gunzipSync(fs.readFileSync(file + '.gz')).toString() !== body)
+                        return done(new Error('Cache file is not correct'));
+                    if (JSON.parse(fs.readFileSync(file + '.meta')).length !== body.length)
+                        return done(new Error('Metadata is not correct'));
+
+                    request(server)
+                        .get('/')
+                        .set('Accept-Encoding', 'identity')
+                        .expect(200)
+                        .expect('Content-Type', /^text\/plain/)
+                        .expect(body)
+                        .end(done)
+                    ;
+                }, 50);
+            })
+        ;
+    });
+
+    it('should not cache stream bodies that fail', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
+        app.use(function*(next) {
+            this.body = streamBody(5, 0, new Error("Upstream failed"));
+        });
+
+        // The response is left unfinished once headers are sent, so don't wait on it
+        var server = app.listen(function() {
+            var req = http.get({port: server.address().port, path: '/'});
+            req.on('error', function() {});
+
+            setTimeout(function() {
+                req.abort();
+
+                var file = folder + '/' + id;
+                if (fs.existsSync(file) || fs.existsSync(file + '.gz') || fs.existsSync(file + '.meta'))
+                    done(new Error('Cache file was created'));
+                else
+                    done();
+            }, 100);
+        });
+    });
+
+    it('should not cache stream bodies if the client aborts', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
+        app.use(function*(next) {
+            this.body = streamBody(50, 10);
+        });
+
+        var server = app.listen(function() {
+            var req = http.get({port: server.address().port, path: '/'}, function(res) {
+                res.once('data', function() {
+                    req.abort();
+
+                    setTimeout(function() {
+                        var file = folder + '/' + id;
+                        var leftovers = fs.readdirSync(folder).filter(function(file) {
+                            return file.indexOf(String(id)) === 0;
+                        });
+                        if (leftovers.length) done(new Error('Cache files were left behind: '+leftovers));
+                        else done();
+                    }, 100);
+                });
+            });
+            req.on('error', function() {});
+        });
+    });
+
+    it('should remove an entry by context or name (Cache.del)', function(done) {
+        var id = createRandomID();
+        var other = createRandomID();
+        var file = folder + '/' + id;
+
+        var app = koa();
+        app.use(function*(next) {
+            this.cacheName = this.query.name;
+            if (this.query.del) this.caching = false;
+            yield next;
+        });
+        app.use(Cache({folder: folder}));
+        app.use(largeBody);
+        app.use(function*(next) {
+            if (this.query.del) yield Cache.del(this);
+        });
+
+        var server = app.listen();
+        request(server)
+            .get('/?name=' + other)
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+                if (!fs.existsSync(folder + '/' + other + '.meta')) return done(new Error('Cache file was not created'));
+
+                request(server)
+                    .get('/?del=1&name=' + other)
+                    .expect(200)
+                    .end(function(err, res) {
+                        if (err) return done(err);
+                        if (fs.existsSync(folder + '/' + other + '.meta')) return done(new Error('Cache was not removed'));
+
+                        fs.writeFileSync(file + '.gz', zlib.gzipSync('{}'));
+                        fs.writeFileSync(file + '.meta', '{}');
+
+                        co(function*() {
+                            yield Cache.del(String(id), folder);
+                        }).then(function() {
+                            if (fs.existsSync(file + '.gz') || fs.existsSync(file + '.meta'))
+                                done(new Error('Cache was not removed'));
+                            else
+                                done();
+                        }, done);
+                    })
+                ;
+            })
+        ;
+    });
+
+    it('should remove every entry (Cache.clear)', function(done) {
+        var clearFolder = folder + '/clear-' + createRandomID();
+        fs.mkdirSync(clearFolder);
+        fs.writeFileSync(clearFolder + '/not-a-cache', 'test');
+
+        var app = koa();
+        app.use(function*(next) {
+            this.cacheName = this.query.name;
+            yield next;
+        });
+        app.use(Cache({folder: clearFolder}));
+        app.use(smallBody);
+
+        var server = app.listen();
+        request(server).get('/?name=a').expect(200).end(function(err) {
+            if (err) return done(err);
+            request(server).get('/?name=b').expect(200).end(function(err) {
+                if (err) return done(err);
+
+                co(function*() {
+                    yield Cache.clear(clearFolder);
+                }).then(function() {
+                    var files = fs.readdirSync(clearFolder);
+                    if (files.length !== 1 || files[0] !== 'not-a-cache') done(new Error('Left behind: '+files));
+                    else done();
+                }, done);
+            });
+        });
+    });
+
+    it('should remove every entry with a tag (Cache.purgeTags)', function(done) {
+        var tagFolder = folder + '/tags-' + createRandomID();
+        fs.mkdirSync(tagFolder);
+
+        var app = koa();
+        app.use(function*(next) {
+            this.cacheName = this.query.name;
+            yield next;
+        });
+        app.use(Cache({folder: tagFolder}));
+        app.use(function*(next) {
+            this.cacheTags = this.query.tags.split(',');
+            this.body = {test: "test"};
+        });
+
+        var server = app.listen();
+        request(server).get('/?name=a&tags=user:42,letter:a').expect(200).end(function(err) {
+            if (err) return done(err);
+            request(server).get('/?name=b&tags=user:7,letter:b').expect(200).end(function(err) {
+                if (err) return done(err);
+
+                co(function*() {
+                    return yield Cache.purgeTags(['user:42', 'user:1']);
+                }).then(function(purged) {
+                    purged.should.eql(['a']);
+                    fs.existsSync(tagFolder + '/a.meta').should.be.false;
+                    fs.existsSync(tagFolder + '/b.meta').should.be.true;
+                    done();
+                }).catch(done);
+            });
+        });
+    });
+
+    it('should reject unsafe or missing cache names', function(done) {
+        var app = koa();
+        app.use(function*(next) {
+            if (this.query.name) this.cacheName = this.query.name;
+            try {
+                yield next;
+            } catch (err) {
+                this.status = 500;
+                this.body = err.message;
+            }
+        });
+        app.use(Cache({folder: folder}));
+        app.use(smallBody);
+
+        var server = app.listen();
+        request(server)
+            .get('/?name=' + encodeURIComponent('../escaped'))
+            .expect(500)
+            .expect(/not safe/)
+            .end(function(err, res) {
+                if (err) return done(err);
+                if (fs.existsSync('test/escaped')) return done(new Error('Cache file escaped the folder'));
+
+                request(server)
+                    .get('/')
+                    .expect(500)
+                    .expect(/'cacheName' is missing/)
+                    .end(done)
+                ;
+            })
+        ;
+    });
+
+    it('should build the cache name from the request (key)', function(done) {
+        var keyFolder = folder + '/key-' + createRandomID();
+        fs.mkdirSync(keyFolder);
+        var calls = 0;
+
+        var app = koa();
+        app.use(Cache({folder: keyFolder, key: {query: ['letter', 'page'], headers: ['Accept-Language'], shard: 2}}));
+        app.use(function*(next) {
+            calls++;
+            this.body = {test: "test"};
+        });
+
+        var server = app.listen();
+        request(server).get('/words?letter=a&page=1&_=1').set('Accept-Language', 'en').expect(200).end(function(err) {
+            if (err) return done(err);
+
+            // Same query in another order, ignoring other parameters
+            request(server).get('/words?page=1&letter=a&_=2').set('Accept-Language', 'en').expect(200).end(function(err) {
+                if (err) return done(err);
+                if (calls !== 1) return done(new Error("Cache was not shared"));
+
+                // Another language
+                request(server).get('/words?letter=a&page=1').set('Accept-Language', 'fr').expect(200).end(function(err) {
+                    if (err) return done(err);
+                    if (calls !== 2) return done(new Error("Cache was shared between languages"));
+
+                    var shards = fs.readdirSync(keyFolder);
+                    if (!shards.length || !shards.every(function(dir) { return /^[0-9a-f]{2}$/.test(dir); }))
+                        return done(new Error("Cache was not sharded: "+shards));
+
+                    co(function*() {
+                        yield Cache.clear(keyFolder);
+                    }).then(function() {
+                        var left = shards.map(function(dir) {
+                            return fs.readdirSync(keyFolder + '/' + dir + '/' + fs.readdirSync(keyFolder + '/' + dir)[0]);
+                        });
+                        if ([].concat.apply([], left).length) done(new Error("Sharded cache was not cleared"));
+                        else done();
+                    }, done);
+                });
+            });
+        });
+    });
+
+    it('should evict the least recently used entries past maxEntries', function(done) {
+        var store = new Cache.FileStore({folder: folder + '/lru-' + createRandomID()});
+
+        var app = koa();
+        app.use(function*(next) {
+            this.cacheName = this.query.name;
+            yield next;
+        });
+        app.use(Cache({store: store, maxEntries: 2}));
+        app.use(smallBody);
+
+        var server = app.listen();
+        co(function*() {
+            var names = ['a', 'b', 'a', 'c'];
+            for (var i=0; i<names.length; i++) {
+                var req = request(server).get('/?name=' + names[i]).expect(200);
+                yield req.end.bind(req);
+            }
+            // Going over budget already queued a sweep
+            yield Cache.sweep(store);
+        }).then(function() {
+            fs.existsSync(store.folder + 'a.meta').should.be.true;
+            fs.existsSync(store.folder + 'b.meta').should.be.false;
+            fs.existsSync(store.folder + 'c.meta').should.be.true;
+            done();
+        }).catch(done);
+    });
+
+    it('should evict the least recently used entries past maxSize', function(done) {
+        var store = new Cache.FileStore({folder: folder + '/size-' + createRandomID()});
+
+        var app = koa();
+        app.use(function*(next) {
+            this.cacheName = this.query.name;
+            yield next;
+        });
+        // Room for two entries of a bit more than 3000 bytes (with their metadata)
+        var cache = Cache({store: store, gzip: false, maxSize: 8000});
+        app.use(cache);
+        app.use(function*(next) {
+            this.body = {data: new Array(3001).join('x')};
+        });
+
+        var server = app.listen();
+        co(function*() {
+            var names = ['a', 'b', 'a', 'c'];
+            for (var i=0; i<names.length; i++) {
+                var req = request(server).get('/?name=' + names[i]).expect(200);
+                yield req.end.bind(req);
+            }
+            yield Cache.sweep(store);
+        }).then(function() {
+            fs.existsSync(store.folder + 'a.meta').should.be.true;
+            fs.existsSync(store.folder + 'b.meta').should.be.false;
+            fs.existsSync(store.folder + 'c.meta').should.be.true;
+
+            var size = 0;
+            fs.readdirSync(store.folder).forEach(function(file) {
+                size += fs.statSync(store.folder + file).size;
+            });
+            var stats = cache.stats();
+            stats.size.should.equal(size);
+            stats.size.should.not.be.above(8000);
+            stats.entries.should.equal(2);
+            done();
+        }).catch(done);
+    });
+
+    it('should evict the least frequently used entries (eviction=lfu)', function(done) {
+        var store = new Cache.FileStore({folder: folder + '/lfu-' + createRandomID()});
+
+        var app = koa();
+        app.use(function*(next) {
+            this.cacheName = this.query.name;
+            yield next;
+        });
+        app.use(Cache({store: store, maxEntries: 2, eviction: 'lfu'}));
+        app.use(smallBody);
+
+        var server = app.listen();
+        co(function*() {
+            var names = ['a', 'a', 'b', 'c'];
+            for (var i=0; i<names.length; i++) {
+                var req = request(server).get('/?name=' + names[i]).expect(200);
+                yield req.end.bind(req);
+            }
+            yield Cache.sweep(store);
+        }).then(function() {
+            // a was used least recently, but b (older than c) least often
+            fs.existsSync(store.folder + 'a.meta').should.be.true;
+            fs.existsSync(store.folder + 'b.meta').should.be.false;
+            fs.existsSync(store.folder + 'c.meta').should.be.true;
+            done();
+        }).catch(done);
+    });
+
+    it('should sweep expired entries found on startup', function(done) {
+        var sweepFolder = folder + '/sweep-' + createRandomID();
+        fs.mkdirSync(sweepFolder);
+
+        var created = Date.now() - 1000*60*2;
+        ['old', 'new'].forEach(function(name) {
+            var meta = {status: 200, headers: {}, type: 'application/json', created: created,
+                expires: name === 'old'? created + 1000*60 : Date.now() + 1000*60};
+            fs.writeFileSync(sweepFolder + '/' + name, JSON.stringify({test: name}));
+            fs.writeFileSync(sweepFolder + '/' + name + '.meta', JSON.stringify(meta));
+        });
+
+        var store = new Cache.FileStore({folder: sweepFolder});
+        Cache({store: store, sweepInterval: 1000*60});
+
+        co(function*() {
+            return yield Cache.sweep(store);
+        }).then(function(removed) {
+            removed.should.eql(['old']);
+            fs.existsSync(sweepFolder + '/old').should.be.false;
+            fs.existsSync(sweepFolder + '/old.meta').should.be.false;
+            fs.existsSync(sweepFolder + '/new').should.be.true;
+            done();
+        }).catch(done);
+    });
+
+    it('should save the time a cache is allowed per response (this.cacheTime)', function(done) {
+        var id = createRandomID();
+        var calls = 0;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, cacheTime: 1000}));
+        app.use(function*(next) {
+            calls++;
+            this.cacheTime = 1000*60*60;
+            this.body = {test: "test"};
+        });
+
+        var server = app.listen();
+        request(server).get('/').expect(200).end(function(err, res) {
+            if (err) return done(err);
+
+            var meta = JSON.parse(fs.readFileSync(folder + '/' + id + '.meta'));
+            (meta.expires - meta.created).should.equal(1000*60*60);
+            (new Date(res.headers['expires']).getTime()).should.be.above(Date.now() + 1000*60*59);
+
+            // Still fresh past the middleware's cacheTime
+            setTimeout(function() {
+                request(server).get('/').expect(200).end(function(err) {
+                    if (err) return done(err);
+                    if (calls !== 1) return done(new Error("Cache expired by the middleware's cacheTime"));
+                    done();
+                });
+            }, 1100);
+        });
+    });
+
+    it('should take the time a cache is allowed from the response headers (cacheControl)', function(done) {
+        var app = koa();
+        app.use(function*(next) {
+            this.cacheName = this.query.name;
+            yield next;
+        });
+        app.use(Cache({folder: folder, cacheControl: true}));
+        app.use(function*(next) {
+            if (this.query.cc) this.set('Cache-Control', this.query.cc);
+            if (this.query.expires) this.set('Expires', new Date(Date.now() + 1000*60*5).toUTCString());
+            this.body = {test: "test"};
+        });
+
+        function expires(name) {
+            var meta = JSON.parse(fs.readFileSync(folder + '/' + name + '.meta'));
+            return meta.expires - meta.created;
+        }
+
+        var server = app.listen();
+        var ids = [createRandomID(), createRandomID(), createRandomID(), createRandomID()];
+        co(function*() {
+            var queries = [
+                'cc=' + encodeURIComponent('max-age=10, s-maxage=120'),
+                'cc=private',
+                'cc=no-store',
+                'expires=1'
+            ];
+            for (var i=0; i<queries.length; i++) {
+                var req = request(server).get('/?name=' + ids[i] + '&' + queries[i]).expect(200);
+                yield req.end.bind(req);
+            }
+        }).then(function() {
+            expires(ids[0]).should.equal(1000*120);
+            fs.existsSync(folder + '/' + ids[1] + '.meta').should.be.false;
+            fs.existsSync(folder + '/' + ids[2] + '.meta').should.be.false;
+            expires(ids[3]).should.be.within(1000*60*5 - 2000, 1000*60*5);
+            done();
+        }).catch(done);
+    });
+
+    it('should send Cache-Control and Age headers', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, cacheTime: 1000*60, visibility: 'private', sMaxAge: 1000*30}));
+        app.use(smallBody);
+
+        var server = app.listen();
+        request(server)
+            .get('/')
+            .expect(200)
+            .expect('Cache-Control', 'private, max-age=60, s-maxage=30')
+            .expect('Age', '0')
+            .end(function(err) {
+                if (err) return done(err);
+
+                setTimeout(function() {
+                    request(server)
+                        .get('/')
+                        .expect(200)
+                        .expect('Cache-Control', 'private, max-age=58, s-maxage=30')
+                        .expect('Age', '1')
+                        .end(done)
+                    ;
+                }, 1100);
+            })
+        ;
+    });
+
+    it('should not cache (nor make public) responses downstream marked private or not to be stored', function(done) {
+        function createServer(cacheControl) {
+            var app = koa();
+            app.use(function*(next) {
+                this.cacheName = this.query.name;
+                yield next;
+            });
+            app.use(Cache({folder: folder, cacheControl: cacheControl}));
+            app.use(function*(next) {
+                this.set('Cache-Control', this.query.cc);
+                this.body = {test: "test"};
+            });
+            return app.listen();
+        }
+
+        var directives = ['private, no-store', 'private', 'no-cache'];
+        co(function*() {
+            // Following Cache-Control, not cached
+            var server = createServer(true);
+            for (var i=0; i<directives.length; i++) {
+                var id = createRandomID();
+                var req = request(server)
+                    .get('/?name=' + id + '&cc=' + encodeURIComponent(directives[i]))
+                    .expect(200)
+                    .expect('Cache-Control', directives[i])
+                    .expect('X-Cache', 'BYPASS');
+                yield req.end.bind(req);
+                fs.existsSync(folder + '/' + id + '.meta').should.be.false;
+            }
+
+            // Otherwise cached, but its Cache-Control is kept
+            server = createServer(false);
+            for (i=0; i<directives.length; i++) {
+                id = createRandomID();
+                req = request(server)
+                    .get('/?name=' + id + '&cc=' + encodeURIComponent(directives[i]))
+                    .expect(200)
+                    .expect('Cache-Control', directives[i])
+                    .expect('X-Cache', 'MISS');
+                yield req.end.bind(req);
+                fs.existsSync(folder + '/' + id + '.meta').should.be.true;
+            }
+        }).then(done, done);
+    });
+
+    it('should follow the request no-cache and only-if-cached directives (requestDirectives)', function(done) {
+        var id = createRandomID();
+        var calls = 0;
+
+        var app = koa();
+        app.use(function*(next) {
+            this.cacheName = this.query.name || id;
+            this.cacheRequestDirectives = !this.query.protected;
+            yield next;
+        });
+        app.use(Cache({folder: folder, requestDirectives: true}));
+        app.use(function*(next) {
+            calls++;
+            this.body = {test: "test"};
+        });
+
+        function get(path, headers, status) {
+            var req = request(server).get(path);
+            Object.keys(headers).forEach(function(field) {
+                req.set(field, headers[field]);
+            });
+            req.expect(status);
+            return req.end.bind(req);
+        }
+
+        var server = app.listen();
+        co(function*() {
+            yield get('/?name=' + createRandomID(), {'Cache-Control': 'only-if-cached'}, 504);
+            yield get('/', {}, 200);
+            yield get('/', {'Cache-Control': 'only-if-cached'}, 200);
+            calls.should.equal(1);
+
+            yield get('/', {'Cache-Control': 'no-cache'}, 200);
+            calls.should.equal(2);
+            yield get('/', {'Pragma': 'no-cache'}, 200);
+            calls.should.equal(3);
+
+            // Turned off for this request
+            yield get('/?protected=1', {'Cache-Control': 'no-cache'}, 200);
+            calls.should.equal(3);
+        }).then(done, done);
+    });
+
+    it('should tell whether the cache was hit (X-Cache)', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(function*(next) {
+            if (this.query.bypass) this.caching = false;
+            yield next;
+        });
+        app.use(Cache({folder: folder}));
+        app.use(smallBody);
+
+        var server = app.listen();
+        request(server).get('/').expect(200).expect('X-Cache', 'MISS').end(function(err) {
+            if (err) return done(err);
+            request(server).get('/').expect(200).expect('X-Cache', 'HIT').end(function(err) {
+                if (err) return done(err);
+                request(server).get('/?bypass=1').expect(200).expect('X-Cache', 'BYPASS').end(done);
+            });
+        });
+    });
+
+    it('should emit events and keep stats', function(done) {
+        var id = createRandomID();
+        var events = [];
+
+        var app = koa();
+        app.use(setCacheName(id));
+        var cache = Cache({folder: folder, name: 'words'});
+        ['hit', 'miss', 'write'].forEach(function(event) {
+            cache.on(event, function(data) {
+                data.key.should.equal(String(id));
+                data.time.should.be.type('number');
+                events.push(event);
+            });
+        });
+        app.use(cache);
+        app.use(smallBody);
+
+        var server = app.listen();
+        request(server).get('/').expect(200).end(function(err) {
+            if (err) return done(err);
+            request(server).get('/').expect(200).end(function(err) {
+                if (err) return done(err);
+
+                events.should.eql(['miss', 'write', 'hit']);
+
+                var stats = cache.stats();
+                stats.counters.hits.should.equal(1);
+                stats.counters.misses.should.equal(1);
+                stats.counters.writes.should.equal(1);
+                stats.latency.hit.count.should.equal(1);
+
+                var metrics = Cache.metrics(cache);
+                metrics.should.match(/^# TYPE koa_cache_requests_total counter$/m);
+                metrics.should.match(/^koa_cache_requests_total\{cache="words",result="hit"\} 1$/m);
+                metrics.should.match(/^koa_cache_duration_seconds_bucket\{cache="words",type="hit",le="\+Inf"\} 1$/m);
+                done();
+            });
+        });
+    });
+
+    it('should fallback (w/ delegate=false) to middleware if something goes wrong with cache (direct) ', function(done) {
+        // A "cache" that can be found but not read
+        var id = createRandomID();
+        fs.mkdirSync(folder + '/' + id);
+
+        var errors = [];
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, onError: function(err, info) {
+            errors.push(info.operation);
+        }}));
+        app.use(smallBody);
+
+        request(app.listen())
+            .get('/')
+            .expect(200)
+            .expect('X-Cache', 'MISS')
+            .end(function(err, res) {
+                if (err) return done(err);
+                if (!isSmallBody(JSON.parse(res.text))) return done(new Error("Data returned is not correct"));
+
+                // Neither could it be removed or written over, which doesn't fail the response either
+                errors.should.containEql('read');
+                errors.should.containEql('write');
+                done();
+            })
+        ;
+    });
+
+    it('should fallback (w/ delegate=false) to middleware if something goes wrong with cache (indirect, no encoding and must uncompress)', function(done) {
+        // A truncated gzip
+        var id = createRandomID();
+        var file = folder + '/' + id + '.gz';
+        fs.writeFileSync(file, zlib.gzipSync(JSON.stringify({test: "corrupt"})).slice(0, 20));
+
+        var errors = [];
+        var app = koa();
+        app.use(setCacheName(id));
+        var cache = Cache({folder: folder});
+        cache.on('error', function(err, info) {
+            errors.push(info);
+        });
+        app.use(cache);
+        app.use(largeBody);
+
+        request(app.listen())
+            .get('/')
+            .set('Accept-Encoding', 'identity')
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+                if (!isLargeBody(JSON.parse(res.text))) return done(new Error("Data returned is not correct"));
+
+                errors.should.have.length(1);
+                errors[0].should.eql({key: String(id), operation: 'read'});
+
+                // And it's been replaced by the response
+                zlib.gunzip(fs.readFileSync(file), function(err, data) {
+                    if (err) return done(err);
+                    if (!isLargeBody(JSON.parse(data))) return done(new Error("Corrupt cache was not replaced"));
+                    done();
+                });
+            })
+        ;
+    });
+
+    it('should treat a cache that fails its checksum as a miss', function(done) {
+        var id = createRandomID();
+        var file = folder + '/' + id;
+        var calls = 0;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        var cache = Cache({folder: folder});
+        app.use(cache);
+        app.use(function*(next) {
+            calls++;
+            this.body = {test: "test"};
+        });
+
+        var server = app.listen();
+        request(server).get('/').expect(200).end(function(err) {
+            if (err) return done(err);
+
+            var meta = JSON.parse(fs.readFileSync(file + '.meta'));
+            meta.checksums.identity.should.match(/^sha256-/);
+
+            // Same size, different content
+            var mtime = fs.statSync(file).mtime;
+            fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('test', 'tset'));
+            fs.utimesSync(file, mtime, mtime);
+
+            request(server).get('/').expect(200).expect('X-Cache', 'MISS').end(function(err, res) {
+                if (err) return done(err);
+                if (!isSmallBody(JSON.parse(res.text))) return done(new Error("Data returned is not correct"));
+                if (calls !== 2) return done(new Error("Corrupt cache was sent"));
+
+                cache.stats().counters.checksumMismatches.should.equal(1);
+                done();
+            });
+        });
+    });
+
+    it('should verify crc32 checksums when loading the cache (delegate=true)', function(done) {
+        var id = createRandomID();
+        var file = folder + '/' + id + '.gz';
+        var seen = [];
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, delegate: true, checksum: 'crc32'}));
+        app.use(function*(next) {
+            seen.push(this.body || null);
+            if (!this.body) this.body = {arr: new Array(10e4)};
+            else this.caching = false;
+        });
+
+        var server = app.listen();
+        request(server).get('/').expect(200).end(function(err) {
+            if (err) return done(err);
+
+            JSON.parse(fs.readFileSync(folder + '/' + id + '.meta')).checksums.gzip.should.match(/^crc32-[0-9a-f]{8}$/);
+
+            // Flip a bit
+            var data = fs.readFileSync(file);
+            data[data.length - 10] ^= 1;
+            fs.writeFileSync(file, data);
+
+            request(server).get('/').expect(200).end(function(err) {
+                if (err) return done(err);
+
+                seen.should.have.length(2);
+                (seen[1] === null).should.be.true;
+                done();
+            });
+        });
+    });
+
+    it('should keep Dates, Buffers and Maps through the cache (serializer=structured)', function(done) {
+        var id = createRandomID();
+        var date = new Date(2015, 5, 1);
+        var loaded = null;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, delegate: true, serializer: 'structured'}));
+        app.use(function*(next) {
+            if (this.body) {
+                loaded = this.body;
+                this.caching = false;
+                this.body = {ok: true};
+                return;
+            }
+            this.body = {date: date, buf: Buffer.from('test'), map: new Map([['a', 1]]), $type: 'plain'};
+        });
+
+        var server = app.listen();
+        request(server).get('/').expect(200).end(function(err) {
+            if (err) return done(err);
+
+            JSON.parse(fs.readFileSync(folder + '/' + id + '.meta')).serializer.should.equal('structured');
+
+            request(server).get('/').expect(200).end(function(err) {
+                if (err) return done(err);
+
+                loaded.date.should.be.instanceof(Date);
+                loaded.date.getTime().should.equal(date.getTime());
+                Buffer.isBuffer(loaded.buf).should.be.true;
+                loaded.buf.toString().should.equal('test');
+                loaded.map.get('a').should.equal(1);
+                loaded.$type.should.equal('plain');
+                done();
+            });
+        });
+    });
+
+    it('should store object bodies as the JSON sent (serializer=text)', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, delegate: true, serializer: 'text'}));
+        app.use(function*(next) {
+            if (this.body) {
+                this.body.should.be.a.String;
+                isSmallBody(JSON.parse(this.body)).should.be.ok;
+                return;
+            }
+            this.body = {test: "test"};
+        });
+
+        var server = app.listen();
+        request(server).get('/').expect(200).end(function(err, res) {
+            if (err) return done(err);
+            if (!isSmallBody(JSON.parse(res.text))) return done(new Error("Data returned is not correct"));
+
+            request(server).get('/').expect(200).expect('X-Cache', 'HIT').end(function(err, res) {
+                if (err) return done(err);
+                if (!isSmallBody(JSON.parse(res.text))) return done(new Error("Cache was not stored as JSON"));
+                done();
+            });
+        });
+    });
+
+    it('should load a cache with the serializer it was saved with', function(done) {
+        var id = createRandomID();
+        var custom = {
+            name: 'reversed',
+            serialize: function(body) { return JSON.stringify(body).split('').reverse().join(''); },
+            deserialize: function(data) { return JSON.parse(data.toString().split('').reverse().join('')); }
+        };
+
+        // Saved with a custom serializer
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, serializer: custom}));
+        app.use(smallBody);
+
+        var server = app.listen();
+        request(server).get('/').expect(200).end(function(err, res) {
+            if (err) return done(err);
+            if (!isSmallBody(JSON.parse(res.text))) return done(new Error("Data returned is not correct"));
+
+            // Sent as what it loads as, not what's stored
+            request(server).get('/').expect(200).expect('X-Cache', 'HIT').end(function(err, res) {
+                if (err) return done(err);
+                if (!isSmallBody(JSON.parse(res.text))) return done(new Error("Cache was sent as stored"));
+
+                // A middleware not knowing it can't misparse it
+                var other = koa();
+                other.use(setCacheName(id));
+                other.use(Cache({folder: folder, serializer: 'json', delegate: true}));
+                other.use(function*(next) {
+                    if (this.body) return done(new Error("Cache was loaded with the wrong serializer"));
+                    this.body = {test: "test"};
+                });
+                request(other.listen()).get('/').expect(200).end(done);
+            });
+        });
+    });
+
+    it('should populate the cache from synthetic requests (Cache.warm)', function(done) {
+        var warmFolder = folder + '/warm-' + createRandomID();
+        fs.mkdirSync(warmFolder);
+        var calls = [];
+
+        var app = koa();
+        app.use(Cache({folder: warmFolder, key: {headers: ['Accept-Language']}}));
+        app.use(function*(next) {
+            calls.push(this.path + ':' + this.get('Accept-Language'));
+            this.body = {letter: this.query.letter};
+        });
+
+        co(function*() {
+            var requests = ['/words?letter=a', {path: '/words?letter=b', headers: {'Accept-Language': 'fr'}}];
+            var results = yield Cache.warm(app, requests);
+            results.map(function(result) { return result.cache; }).should.eql(['MISS', 'MISS']);
+
+            // Fresh already
+            results = yield Cache.warm(app, requests);
+            results.map(function(result) { return result.cache; }).should.eql(['HIT', 'HIT']);
+            calls.should.eql(['/words:', '/words:fr']);
+
+            var req = request(app.listen()).get('/words?letter=b').set('Accept-Language', 'fr').expect('X-Cache', 'HIT');
+            return yield req.end.bind(req);
+        }).then(function(res) {
+            JSON.parse(res.text).letter.should.equal('b');
+            calls.should.have.length(2);
+            done();
+        }).catch(done);
+    });
+
+    it('should refresh a cache in the background near its expiry (refreshAhead)', function(done) {
+        var id = createRandomID();
+        writeCacheFile(id, {test: "old"}, 1000*55);
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, refreshAhead: 0.1}));
+        app.use(function*(next) {
+            this.body = {test: "new"};
+        });
+
+        var server = app.listen();
+        request(server).get('/').expect(200).expect('X-Cache', 'HIT').end(function(err, res) {
+            if (err) return done(err);
+            JSON.parse(res.text).test.should.equal('old');
+
+            setTimeout(function() {
+                request(server).get('/').expect(200).expect('X-Cache', 'HIT').end(function(err, res) {
+                    if (err) return done(err);
+                    JSON.parse(res.text).test.should.equal('new');
+                    done();
+                });
+            }, 100);
+        });
+    });
+
+    it('should encrypt the cache and treat tampered ciphertext as a miss (encryption)', function(done) {
+        var id = createRandomID();
+        var file = folder + '/' + id;
+        var calls = 0;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, encryption: require('crypto').randomBytes(32), checksum: false}));
+        app.use(function*(next) {
+            calls++;
+            this.body = {test: "test"};
+        });
+
+        var server = app.listen();
+        request(server).get('/').expect(200).end(function(err) {
+            if (err) return done(err);
+
+            var meta = JSON.parse(fs.readFileSync(file + '.meta'));
+            meta.encryption.algorithm.should.equal('aes-256-gcm');
+            meta.encryption.files.identity.should.have.properties('iv', 'tag');
+            fs.readFileSync(file, 'utf8').should.not.containEql('test');
+
+            request(server).get('/').expect(200).expect('X-Cache', 'HIT').end(function(err, res) {
+                if (err) return done(err);
+                if (!isSmallBody(JSON.parse(res.text))) return done(new Error("Data returned is not correct"));
+
+                // Same size, one bit flipped
+                var data = fs.readFileSync(file);
+                data[0] ^= 1;
+                var mtime = fs.statSync(file).mtime;
+                fs.writeFileSync(file, data);
+                fs.utimesSync(file, mtime, mtime);
+
+                request(server).get('/').expect(200).expect('X-Cache', 'MISS').end(function(err, res) {
+                    if (err) return done(err);
+                    if (!isSmallBody(JSON.parse(res.text))) return done(new Error("Data returned is not correct"));
+                    if (calls !== 2) return done(new Error("Tampered cache was sent"));
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should not send any of a tampered cache larger than a read (encryption)', function(done) {
+        var id = createRandomID();
+        var file = folder + '/' + id;
+        var body = new Array(300*1024 + 1).join('a');
+        var calls = 0;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, encryption: require('crypto').randomBytes(32), checksum: false, gzip: false}));
+        app.use(function*(next) {
+            calls++;
+            this.type = 'text';
+            this.body = body;
+        });
+
+        var server = app.listen();
+        co(function*() {
+            var req = request(server).get('/').expect(200).expect('X-Cache', 'MISS');
+            yield req.end.bind(req);
+
+            // Same size, one byte flipped past the first read
+            var data = fs.readFileSync(file);
+            data.length.should.be.above(64*1024);
+            data[200*1024] ^= 1;
+            var mtime = fs.statSync(file).mtime;
+            fs.writeFileSync(file, data);
+            fs.utimesSync(file, mtime, mtime);
+
+            req = request(server).get('/').expect(200).expect('X-Cache', 'MISS');
+            var res = yield req.end.bind(req);
+            (res.text === body).should.be.true;
+            calls.should.equal(2);
+        }).then(done, done);
+    });
+
+    it('should decrypt with the key an entry was encrypted with (encryption=function)', function(done) {
+        var id = createRandomID();
+        var crypto = require('crypto');
+        var keys = {a: crypto.randomBytes(32), b: crypto.randomBytes(32)};
+        var current = 'a';
+        var calls = 0;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, delegate: true, encryption: function(id) {
+            id = id || current;
+            return keys[id]? {id: id, key: keys[id]} : null;
+        }}));
+        app.use(function*(next) {
+            if (this.body) return;
+            calls++;
+            this.body = {test: "test"};
+        });
+
+        var server = app.listen();
+        request(server).get('/').expect(200).end(function(err) {
+            if (err) return done(err);
+            JSON.parse(fs.readFileSync(folder + '/' + id + '.meta')).encryption.keyId.should.equal('a');
+
+            // Rotated, but the old key is still known
+            current = 'b';
+            request(server).get('/').expect(200).expect('X-Cache', 'HIT').end(function(err, res) {
+                if (err) return done(err);
+                if (!isSmallBody(JSON.parse(res.text))) return done(new Error("Data returned is not correct"));
+
+                // Retired
+                delete keys.a;
+                request(server).get('/').expect(200).expect('X-Cache', 'MISS').end(function(err, res) {
+                    if (err) return done(err);
+                    if (!isSmallBody(JSON.parse(res.text))) return done(new Error("Data returned is not correct"));
+                    if (calls !== 2) return done(new Error("Cache of an unknown key was sent"));
+                    JSON.parse(fs.readFileSync(folder + '/' + id + '.meta')).encryption.keyId.should.equal('b');
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should browse and purge the cache through the admin routes (Cache.admin)', function(done) {
+        var adminFolder = folder + '/admin-' + createRandomID();
+        fs.mkdirSync(adminFolder);
+
+        var app = koa();
+        app.use(Cache.admin({folder: adminFolder, auth: function(ctx) {
+            return ctx.get('Authorization') === 'Bearer secret';
+        }}));
+        app.use(function*(next) {
+            this.cacheName = this.path.slice(1).replace(/\//g, '.');
+            if (/^\/expired/.test(this.path)) this.cacheTime = 1;
+            yield next;
+        });
+        app.use(Cache({folder: adminFolder}));
+        app.use(function*(next) {
+            this.body = {path: this.path};
+        });
+
+        var server = app.listen();
+        function admin(method, path) {
+            return request(server)[method]('/_cache' + path).set('Authorization', 'Bearer secret');
+        }
+        function end(req) {
+            return req.end.bind(req);
+        }
+
+        co(function*() {
+            var paths = ['/users/1', '/users/2', '/posts/1', '/expired/1'];
+            for (var i=0; i<paths.length; i++) {
+                yield end(request(server).get(paths[i]).expect(200));
+            }
+
+            yield end(request(server).get('/_cache/entries').expect(403));
+
+            var res = yield end(admin('get', '/entries').expect(200));
+            res.body.total.entries.should.equal(4);
+            res.body.total.expired.should.equal(1);
+            res.body.entries.map(function(entry) { return entry.key; }).sort().should.eql(['expired.1', 'posts.1', 'users.1', 'users.2']);
+
+            res = yield end(admin('get', '/entries?prefix=users.').expect(200));
+            res.body.total.entries.should.equal(2);
+
+            res = yield end(admin('get', '/entries/posts.1').expect(200));
+            res.body.state.should.equal('fresh');
+            res.body.meta.status.should.equal(200);
+
+            res = yield end(admin('get', '/entries/posts.1/body').expect(200).expect('Content-Type', /json/));
+            res.body.path.should.equal('/posts/1');
+
+            yield end(admin('get', '/entries/' + encodeURIComponent('../index.js')).expect(400));
+            yield end(admin('get', '/entries/none').expect(404));
+            yield end(admin('put', '/entries/posts.1').expect(405));
+            yield end(admin('del', '/entries').expect(400));
+
+            res = yield end(admin('del', '/entries/posts.1').expect(200));
+            res.body.deleted.should.eql(['posts.1']);
+            yield end(request(server).get('/posts/1').expect('X-Cache', 'MISS'));
+
+            res = yield end(admin('del', '/entries?prefix=users.').expect(200));
+            res.body.deleted.sort().should.eql(['users.1', 'users.2']);
+
+            res = yield end(admin('post', '/purge').expect(200));
+            res.body.purged.should.eql(['expired.1']);
+
+            fs.readdirSync(adminFolder).sort().should.eql(['posts.1', 'posts.1.meta']);
+        }).then(function() {
+            done();
+        }).catch(done);
+    });
+
+    it('should keep the sweeper up to date with entries removed elsewhere (Cache.admin, command line)', function(done) {
+        var adminFolder = folder + '/admin-sweep-' + createRandomID();
+        fs.mkdirSync(adminFolder);
+
+        var app = koa();
+        app.use(Cache.admin({folder: adminFolder, auth: function() {
+            return true;
+        }}));
+        app.use(function*(next) {
+            this.cacheName = this.path.slice(1);
+            yield next;
+        });
+        var cache = Cache({folder: adminFolder, maxEntries: 10});
+        app.use(cache);
+        app.use(smallBody);
+
+        var server = app.listen();
+        function end(req) {
+            return req.end.bind(req);
+        }
+
+        co(function*() {
+            var names = ['a', 'b', 'c'];
+            for (var i=0; i<names.length; i++) {
+                yield end(request(server).get('/' + names[i]).expect(200));
+            }
+            cache.stats().entries.should.equal(3);
+
+            // Through the admin routes' own store
+            yield end(request(server).del('/_cache/entries/a').expect(200));
+            cache.stats().entries.should.equal(2);
+
+            // By another process, found on the next sweep
+            fs.unlinkSync(adminFolder + '/c');
+            fs.unlinkSync(adminFolder + '/c.meta');
+            yield Cache.sweep(adminFolder);
+
+            var stats = cache.stats();
+            stats.entries.should.equal(1);
+            stats.size.should.equal(fs.statSync(adminFolder + '/b').size + fs.statSync(adminFolder + '/b.meta').size);
+        }).then(done, done);
+    });
+
+    it('should only cache the allowed methods and statuses (methods, statuses)', function(done) {
+        var id = createRandomID();
+        var calls = 0;
+
+        var app = koa();
+        app.use(function*(next) {
+            this.cacheName = id + this.path.replace(/\//g, '.');
+            yield next;
+        });
+        app.use(Cache({folder: folder}));
+        app.use(function*(next) {
+            calls++;
+            if (this.path === '/missing') this.status = 404;
+            if (this.path === '/broken') this.status = 500;
+            this.body = {test: "test"};
+        });
+
+        var server = app.listen();
+        function end(req) {
+            return req.end.bind(req);
+        }
+
+        co(function*() {
+            var res = yield end(request(server).post('/post').expect(200));
+            (res.headers['x-cache'] === undefined).should.be.ok;
+            yield end(request(server).post('/post').expect(200));
+            fs.existsSync(folder + '/' + id + '.post').should.be.false;
+
+            yield end(request(server).get('/missing').expect(404).expect('X-Cache', 'BYPASS'));
+            yield end(request(server).get('/missing').expect(404).expect('X-Cache', 'BYPASS'));
+            yield end(request(server).get('/broken').expect(500).expect('X-Cache', 'BYPASS'));
+            fs.existsSync(folder + '/' + id + '.missing.meta').should.be.false;
+
+            calls.should.equal(5);
+        }).then(function() {
+            done();
+        }).catch(done);
+    });
+
+    it('should have no cache for other methods in delegate mode (methods)', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, delegate: true}));
+        app.use(function*(next) {
+            var cache = yield Cache.get(this);
+            this.body = {test: "test", cached: cache !== null};
+        });
+
+        var server = app.listen();
+        co(function*() {
+            var req = request(server).get('/').expect(200).expect({test: "test", cached: false});
+            yield req.end.bind(req);
+
+            req = request(server).post('/').expect(200).expect({test: "test", cached: false});
+            yield req.end.bind(req);
+        }).then(done, done);
+    });
+
+    it('should cache other statuses for their own time (statuses)', function(done) {
+        var id = createRandomID();
+        var calls = 0;
+
+        var app = koa();
+        app.use(function*(next) {
+            this.cacheName = id + this.path.replace(/\//g, '.');
+            yield next;
+        });
+        app.use(Cache({folder: folder, statuses: {200: true, 301: 1000*60*60, 404: 1000*5}}));
+        app.use(function*(next) {
+            calls++;
+            if (this.path === '/moved') return this.redirect('/new');
+            if (this.path === '/missing') this.status = 404;
+            this.body = {test: "test"};
+        });
+
+        var server = app.listen();
+        function end(req) {
+            return req.end.bind(req);
+        }
+
+        co(function*() {
+            yield end(request(server).get('/missing').expect(404).expect('X-Cache', 'MISS'));
+            yield end(request(server).get('/missing').expect(404).expect('X-Cache', 'HIT'));
+            var meta = JSON.parse(fs.readFileSync(folder + '/' + id + '.missing.meta'));
+            (meta.expires - meta.created).should.equal(1000*5);
+
+            yield end(request(server).get('/moved').expect(302).expect('X-Cache', 'BYPASS'));
+            yield end(request(server).get('/ok').expect(200).expect('X-Cache', 'MISS'));
+            meta = JSON.parse(fs.readFileSync(folder + '/' + id + '.ok.meta'));
+            (meta.expires - meta.created).should.equal(1000*60);
+
+            calls.should.equal(3);
+        }).then(function() {
+            done();
+        }).catch(done);
+    });
+
+    it('should replay a cached redirect with its location', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, statuses: [200, 301]}));
+        app.use(function*(next) {
+            this.status = 301;
+            this.redirect('/new');
+        });
+
+        var server = app.listen();
+        request(server).get('/').expect(301).expect('X-Cache', 'MISS').end(function(err) {
+            if (err) return done(err);
+            request(server).get('/').expect(301).expect('X-Cache', 'HIT').expect('Location', '/new').end(done);
+        });
+    });
+
+    it('should not cache what shouldCache rejects', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, shouldCache: function(ctx) {
+            return !ctx.body.partial;
+        }}));
+        app.use(function*(next) {
+            this.body = {partial: true};
+        });
+
+        request(app.listen()).get('/').expect(200).expect('X-Cache', 'BYPASS').end(function(err) {
+            if (err) return done(err);
+            fs.existsSync(folder + '/' + id + '.meta').should.be.false;
+            done();
+        });
+    });
+
+    it('should answer HEAD from the metadata without reading the cache', function(done) {
+        var id = createRandomID();
+        var store = new Cache.FileStore({folder: folder});
+        var read = 0;
+        ['get', 'stream'].forEach(function(method) {
+            var original = store[method];
+            store[method] = function(name) {
+                if (!/\.meta$/.test(name)) read++;
+                return original.apply(this, arguments);
+            };
+        });
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({store: store}));
+        app.use(largeBody);
+
+        var server = app.listen();
+        request(server).get('/').expect(200).end(function(err) {
+            if (err) return done(err);
+
+            // Compressed
+            var port = server.address().port;
+            http.request({port: port, method: 'HEAD', path: '/', headers: {'Accept-Encoding': 'gzip'}}, function(res) {
+                res.statusCode.should.equal(200);
+                res.headers['x-cache'].should.equal('HIT');
+                res.headers['content-encoding'].should.equal('gzip');
+                res.headers['content-length'].should.equal(String(fs.statSync(folder + '/' + id + '.gz').size));
+                res.headers['content-type'].should.match(/json/);
+                res.resume();
+
+                // Uncompressed, its length is in the metadata
+                var meta = JSON.parse(fs.readFileSync(folder + '/' + id + '.meta'));
+                request(server)
+                    .head('/')
+                    .set('Accept-Encoding', 'identity')
+                    .expect(200)
+                    .expect('Content-Length', String(meta.length))
+                    .end(function(err, res) {
+                        if (err) return done(err);
+                        (res.headers['content-encoding'] === undefined).should.be.ok;
+                        read.should.equal(0);
+                        done();
+                    })
+                ;
+            }).on('error', done).end();
+        });
+    });
+
+    it('should store a variant per value of the request headers a response varies on', function(done) {
+        var id = createRandomID();
+        var calls = 0;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
+        app.use(function*(next) {
+            calls++;
+            this.vary('Accept-Language');
+            this.body = {language: this.get('Accept-Language')};
+        });
+
+        var server = app.listen();
+        function get(language, cache) {
+            var req = request(server).get('/').set('Accept-Language', language).expect(200).expect('X-Cache', cache);
+            return req.end.bind(req);
+        }
+
+        co(function*() {
+            (yield get('en', 'MISS')).body.language.should.equal('en');
+            (yield get('fr', 'MISS')).body.language.should.equal('fr');
+
+            var res = yield get('en', 'HIT');
+            res.body.language.should.equal('en');
+            res.headers.vary.should.match(/Accept-Encoding/);
+            res.headers.vary.should.match(/Accept-Language/i);
+            (yield get('fr', 'HIT')).body.language.should.equal('fr');
+
+            // Normalized
+            (yield get(' EN', 'HIT')).body.language.should.equal('en');
+            (yield get('de', 'MISS')).body.language.should.equal('de');
+            calls.should.equal(3);
+
+            // Recorded with the entry, its variants stored apart
+            JSON.parse(fs.readFileSync(folder + '/' + id + '.meta')).should.eql({vary: ['accept-language']});
+            fs.existsSync(folder + '/' + id).should.be.false;
+            fs.readdirSync(folder).filter(function(file) {
+                return file.indexOf(id + '~') === 0 && /\.meta$/.test(file);
+            }).should.have.length(3);
+        }).then(function() {
+            done();
+        }).catch(done);
+    });
+
+    it('should keep variants of case-sensitive headers apart, and remove them with their entry', function(done) {
+        var id = createRandomID();
+        var calls = 0;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
+        app.use(function*(next) {
+            calls++;
+            this.vary('Authorization');
+            this.body = {user: this.get('Authorization')};
+        });
+
+        var server = app.listen();
+        function get(user, cache) {
+            var req = request(server).get('/').set('Authorization', user).expect(200).expect('X-Cache', cache);
+            return req.end.bind(req);
+        }
+        function variants() {
+            return fs.readdirSync(folder).filter(function(file) {
+                return file.indexOf(id + '~') === 0;
+            });
+        }
+
+        co(function*() {
+            (yield get('Bearer abc', 'MISS')).body.user.should.equal('Bearer abc');
+            (yield get('Bearer ABC', 'MISS')).body.user.should.equal('Bearer ABC');
+            (yield get('Bearer abc', 'HIT')).body.user.should.equal('Bearer abc');
+            variants().should.not.be.empty;
+
+            yield Cache.del(String(id), folder);
+            variants().should.be.empty;
+            fs.existsSync(folder + '/' + id + '.meta').should.be.false;
+
+            (yield get('Bearer ABC', 'MISS')).body.user.should.equal('Bearer ABC');
+            calls.should.equal(3);
+        }).then(done, done);
+    });
+
+    it('should list, inspect and remove an entry whose responses vary along with its variants (Cache.admin)', function(done) {
+        var varyFolder = folder + '/vary-' + createRandomID();
+        fs.mkdirSync(varyFolder);
+
+        var app = koa();
+        app.use(Cache.admin({folder: varyFolder, auth: function() {
+            return true;
+        }}));
+        app.use(function*(next) {
+            this.cacheName = this.path.slice(1);
+            yield next;
+        });
+        app.use(Cache({folder: varyFolder}));
+        app.use(function*(next) {
+            this.vary('Accept-Language');
+            this.body = {lang: this.get('Accept-Language')};
+        });
+
+        var server = app.listen();
+        function end(req) {
+            return req.end.bind(req);
+        }
+        function get(lang) {
+            return end(request(server).get('/page').set('Accept-Language', lang).expect(200));
+        }
+        function files() {
+            return fs.readdirSync(varyFolder);
+        }
+
+        co(function*() {
+            yield get('en');
+            yield get('fr');
+
+            var res = yield end(request(server).get('/_cache/entries').expect(200));
+            res.body.entries.should.have.length(1);
+            var entry = res.body.entries[0];
+            entry.key.should.equal('page');
+            entry.vary.should.eql(['accept-language']);
+            entry.variants.should.have.length(2);
+            entry.state.should.equal('fresh');
+            entry.size.should.equal(entry.variants[0].size + entry.variants[1].size);
+
+            res = yield end(request(server).get('/_cache/entries/page').expect(200));
+            res.body.variants.should.have.length(2);
+            yield end(request(server).get('/_cache/entries/page/body').expect(400));
+            var variant = entry.variants[0].key;
+            res = yield end(request(server).get('/_cache/entries/' + encodeURIComponent(variant) + '/body').expect(200));
+            ['en', 'fr'].should.containEql(JSON.parse(res.text).lang);
+
+            // The record of what it varies on goes with its last variant
+            yield end(request(server).del('/_cache/entries/' + encodeURIComponent(variant)).expect(200));
+            fs.existsSync(varyFolder + '/page.meta').should.be.true;
+            yield Cache.del(entry.variants[1].key, varyFolder);
+            fs.existsSync(varyFolder + '/page.meta').should.be.false;
+
+            // Or with the entry, however it's removed
+            yield get('en');
+            yield get('fr');
+            res = yield end(request(server).del('/_cache/entries?prefix=pa').expect(200));
+            res.body.deleted.should.eql(['page']);
+            files().should.be.empty;
+        }).then(done, done);
+    });
+
+    it('should not cache a response that varies on anything (Vary: *)', function(done) {
+        var id = createRandomID();
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder}));
+        app.use(function*(next) {
+            this.set('Vary', '*');
+            this.body = {test: "test"};
+        });
+
+        var server = app.listen();
+        request(server).get('/').expect(200).expect('X-Cache', 'BYPASS').end(function(err) {
+            if (err) return done(err);
+            fs.existsSync(folder + '/' + id + '.meta').should.be.false;
+            request(server).get('/').expect(200).expect('X-Cache', 'BYPASS').end(done);
+        });
+    });
+
+    it('should keep its lock while recomputing, and only release its own', function(done) {
+        var id = createRandomID();
+        var file = folder + '/' + id;
+        var other = new Cache.FileStore({folder: folder, lockTimeout: 100});
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, lockTimeout: 100}));
+        app.use(function*(next) {
+            // well past lockTimeout, without anyone taking it over
+            yield function(cb) { setTimeout(cb, 300); };
+            (yield other.lock(String(id))).should.be.false;
+            fs.existsSync(file+'.lock').should.be.true;
+
+            // someone took it over anyway, it isn't ours to release any more
+            fs.writeFileSync(file+'.lock', 'other');
+            yield next;
+        });
+        app.use(smallBody);
+
+        request(app.listen())
+            .get('/')
+            .expect(200)
+            .end(function(err, res) {
+                if (err) return done(err);
+
+                if (fs.readFileSync(file+'.lock', 'utf8') !== 'other') done(new Error("Lock of someone else was released"));
+                else done();
+            })
+        ;
+    });
+
+    it('should stop waiting on an in-flight request after lockTimeout', function(done) {
+        var id = createRandomID();
+        var calls = 0;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, lockTimeout: 100}));
+        app.use(function*(next) {
+            // the first one never seems to end
+            if (calls++ === 0) yield function(cb) { setTimeout(cb, 1000); };
+            yield next;
+        });
+        app.use(smallBody);
+
+        var server = app.listen();
+        request(server).get('/').end(function() {});
+        setTimeout(function() {
+            var start = Date.now();
+            request(server)
+                .get('/')
+                .expect(200)
+                .end(function(err, res) {
+                    if (err) return done(err);
+
+                    if (Date.now() - start > 500) done(new Error("Waited on the in-flight request"));
+                    else if (calls !== 2) done(new Error("Downstream ran "+calls+" times"));
+                    else done();
+                })
+            ;
+        }, 20);
+    });
+
+    it('should cache stream bodies of HEAD requests, which are never read', function(done) {
+        var id = createRandomID();
+        var chunk = new Array(1024*8 + 1).join('a');
+        var calls = 0;
+
+        var app = koa();
+        app.use(setCacheName(id));
+        var cache = Cache({folder: folder});
+        app.use(cache);
+        app.use(function*(next) {
+            calls++;
+
+            // More than the client's branch would buffer
+            var sent = 0;
+            var body = new Readable();
+            body._read = function() {
+                this.push(sent++ < 16? chunk : null);
+            };
+            this.type = 'text';
+            this.body = body;
+        });
+
+        var server = app.listen();
+        cache.once('write', function() {
+            request(server)
+                .get('/')
+                .expect(200)
+                .expect('X-Cache', 'HIT')
+                .end(function(err, res) {
+                    if (err) return done(err);
+
+                    if (res.text !== new Array(17).join(chunk)) done(new Error("Data returned is not correct"));
+                    else if (calls !== 1) done(new Error("Downstream ran "+calls+" times"));
+                    else done();
+                })
+            ;
+        });
+        request(server)
+            .head('/')
+            .expect(200)
+            .expect('X-Cache', 'MISS')
+            .end(function(err) {
+                if (err) done(err);
+            })
+        ;
+    });
+
+    it('should not take a cache being rewritten for a corrupt one', function(done) {
+        var id = createRandomID();
+        var version = 0;
+
+        // Its metadata takes a while to be written, once the body has been
+        var slow = false;
+        var store = new Cache.FileStore({folder: folder});
+        var put = store.put;
+        store.put = function(name, data, options) {
+            var write = put.call(this, name, data, options);
+            if (!slow || !/\.meta$/.test(name)) return write;
+            return function(cb) {
+                setTimeout(function() {
+                    write(cb);
+                }, 200);
+            };
+        };
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(function*(next) {
+            if (this.query.refresh) this.cacheRefresh = true;
+            yield next;
+        });
+        app.use(Cache({store: store, gzip: false}));
+        app.use(function*(next) {
+            this.body = {version: ++version};
+        });
+
+        var server = app.listen();
+        co(function*() {
+            var req = request(server).get('/').expect(200).expect({version: 1});
+            yield req.end.bind(req);
+            yield function(cb) { setTimeout(cb, 20); };
+
+            slow = true;
+            request(server).get('/?refresh=1').end(function() {});
+            yield function(cb) { setTimeout(cb, 100); };
+
+            // The new body against the old metadata, until the new one's written
+            req = request(server).get('/').expect(200).expect('X-Cache', 'HIT').expect({version: 2});
+            yield req.end.bind(req);
+
+            fs.existsSync(folder + '/' + id).should.be.true;
+            JSON.parse(fs.readFileSync(folder + '/' + id + '.meta')).length.should.equal(13);
+            version.should.equal(2);
+        }).then(done, done);
+    });
+
+    it('should not fail the request when a cache that couldn\'t be read can\'t be looked at either', function(done) {
+        var id = createRandomID();
+        var errors = [];
+
+        // Once broken, it can't be read and then can't be looked at either
+        var broken = false;
+        var statFails = false;
+        var store = new Cache.FileStore({folder: folder});
+        var stat = store.stat;
+        store.stat = function(name) {
+            if (!statFails) return stat.call(this, name);
+            statFails = false;
+            return function(cb) { cb(new Error("Unable to stat")); };
+        };
+        ['get', 'stream'].forEach(function(method) {
+            var read = store[method];
+            store[method] = function(name, options) {
+                if (!broken || /\.meta$/.test(name)) return read.call(this, name, options);
+                broken = false;
+                statFails = true;
+                return function(cb) { cb(new Error("Unable to read")); };
+            };
+        });
+
+        var app = koa();
+        app.use(setCacheName(id));
+        app.use(Cache({folder: folder, store: store, gzip: false, onError: function(err, info) {
+            errors.push(info.operation);
+        }}));
+        app.use(smallBody);
+
+        var server = app.listen();
+        co(function*() {
+            var req = request(server).get('/').expect(200);
+            yield req.end.bind(req);
+
+            broken = true;
+            req = request(server).get('/').expect(200).expect({test: "test"});
+            yield req.end.bind(req);
+            errors.should.eql(['read', 'delete']);
+        }).then(done, done);
+    });
 
 });
\ No newline at end of file
@@ -0,0 +1,247 @@
+var co = require('co');
+var fs = require('fs');
+var Cache = require('..');
+
+// Output folder
+var folder = 'test/output';
+
+// Helper to create a random file name/number
+function createRandomID() {
+    return Math.random() * 1e17;
+}
+
+// Helper to read a whole stream into a string
+function readStream(stream) {
+    return function(cb) {
+        var chunks = [];
+        stream.on('data', function(chunk) {
+            chunks.push(chunk);
+        });
+        stream.on('error', cb);
+        stream.on('end', function() {
+            cb(void 0, Buffer.concat(chunks).toString());
+        });
+    };
+}
+
+// The contract every store has to follow
+function describeStore(name, createStore) {
+    describe(name, function() {
+
+        it('should put, stat, get and delete an entry', function(done) {
+            var store = createStore();
+            var id = String(createRandomID());
+
+            co(function*() {
+                ((yield store.stat(id)) === null).should.be.ok;
+                ((yield store.get(id)) === null).should.be.ok;
+
+                yield store.put(id, 'test');
+
+                var stats = yield store.stat(id);
+                stats.size.should.equal(4);
+                stats.mtime.should.be.an.instanceOf(Date);
+                (yield store.get(id)).toString().should.equal('test');
+
+                yield store.del(id);
+                ((yield store.stat(id)) === null).should.be.ok;
+            }).then(done, done);
+        });
+
+        it('should keep the given modified time', function(done) {
+            var store = createStore();
+            var id = String(createRandomID());
+            var mtime = new Date(Date.now() - 1000*60);
+
+            co(function*() {
+                yield store.put(id, 'test', {mtime: mtime});
+                var stats = yield store.stat(id);
+                Math.round(stats.mtime.getTime()/1000).should.equal(Math.round(mtime.getTime()/1000));
+            }).then(done, done);
+        });
+
+        it('should stream an entry (or part of it)', function(done) {
+            var store = createStore();
+            var id = String(createRandomID());
+
+            co(function*() {
+                ((yield store.stream(id)) === null).should.be.ok;
+
+                yield store.put(id, 'abcdef');
+                (yield readStream(yield store.stream(id))).should.equal('abcdef');
+                (yield readStream(yield store.stream(id, {start: 1, end: 3}))).should.equal('bcd');
+            }).then(done, done);
+        });
+
+        it('should only store a write stream once ended', function(done) {
+            var store = createStore();
+            var id = String(createRandomID());
+            var aborted = String(createRandomID());
+
+            var writer = store.createWriteStream(id);
+            writer.write('ab');
+            writer.end('cd');
+            writer.on('finish', function() {
+                co(function*() {
+                    (yield store.get(id)).toString().should.equal('abcd');
+
+                    var writer = store.createWriteStream(aborted);
+                    writer.write('ab');
+                    writer.abort();
+                    yield function(cb) { setTimeout(cb, 20); };
+                    ((yield store.stat(aborted)) === null).should.be.ok;
+                }).then(done, done);
+            });
+        });
+
+        it('should only let one hold a lock', function(done) {
+            var store = createStore();
+            var id = String(createRandomID());
+
+            co(function*() {
+                var token = yield store.lock(id);
+                token.should.be.ok;
+                (yield store.lock(id)).should.be.false;
+                yield store.unlock(id, token);
+
+                token = yield store.lock(id);
+                token.should.be.ok;
+                yield store.unlock(id, token);
+            }).then(done, done);
+        });
+
+        it('should only release or refresh a lock with its token', function(done) {
+            var store = createStore();
+            var id = String(createRandomID());
+
+            co(function*() {
+                var token = yield store.lock(id);
+                (yield store.refresh(id, 'other')).should.be.false;
+                yield store.unlock(id, 'other');
+                (yield store.lock(id)).should.be.false;
+
+                (yield store.refresh(id, token)).should.be.true;
+                yield store.unlock(id, token);
+                (yield store.refresh(id, token)).should.be.false;
+            }).then(done, done);
+        });
+
+    });
+}
+
+describe('Stores', function() {
+
+    describeStore('FileStore', function() {
+        return new Cache.FileStore({folder: folder});
+    });
+
+    describeStore('MemoryStore', function() {
+        return new Cache.MemoryStore();
+    });
+
+    describeStore('TieredStore', function() {
+        return new Cache.TieredStore(new Cache.MemoryStore(), new Cache.FileStore({folder: folder}));
+    });
+
+    it('should let only one take over an abandoned lock (FileStore)', function(done) {
+        var id = String(createRandomID());
+        var lockFile = folder + '/' + id + '.lock';
+        fs.writeFileSync(lockFile, '1.abandoned');
+        var past = new Date(Date.now() - 60*1000);
+        fs.utimesSync(lockFile, past, past);
+
+        var stores = [0, 1, 2, 3, 4].map(function() {
+            return new Cache.FileStore({folder: folder, lockTimeout: 1000});
+        });
+
+        co(function*() {
+            // All keep trying at once, while it's being taken over
+            var tokens = yield stores.map(function(store) {
+                return function*() {
+                    var token = false;
+                    for (var i = 0; i < 10 && !token; i++) token = yield store.lock(id);
+                    return token;
+                };
+            });
+
+            tokens = tokens.filter(Boolean);
+            tokens.should.have.length(1);
+            fs.readFileSync(lockFile, 'utf8').should.equal(tokens[0]);
+            fs.readdirSync(folder).filter(function(name) {
+                return name.indexOf(id + '.lock.') === 0;
+            }).should.be.empty;
+
+            yield stores[0].unlock(id, tokens[0]);
+        }).then(done, done);
+    });
+
+    it('should evict the least recently used entries over maxSize (MemoryStore)', function(done) {
+        var store = new Cache.MemoryStore({maxSize: 10});
+
+        co(function*() {
+            yield store.put('a', '1234');
+            yield store.put('b', '1234');
+            yield store.get('a'); // b is now the least recently used
+            yield store.put('c', '1234');
+
+            ((yield store.stat('a')) !== null).should.be.ok;
+            ((yield store.stat('b')) === null).should.be.ok;
+            ((yield store.stat('c')) !== null).should.be.ok;
+            store.size.should.equal(8);
+        }).then(done, done);
+    });
+
+    it('should keep hot entries in front (TieredStore)', function(done) {
+        var front = new Cache.MemoryStore();
+        var back = new Cache.FileStore({folder: folder});
+        var store = new Cache.TieredStore(front, back);
+        var id = String(createRandomID());
+
+        co(function*() {
+            yield back.put(id, 'test');
+            ((yield front.stat(id)) === null).should.be.ok;
+
+            (yield store.get(id)).toString().should.equal('test');
+
+            // Promoted along with its modified time
+            var frontStats = yield front.stat(id);
+            var backStats = yield back.stat(id);
+            frontStats.mtime.getTime().should.equal(backStats.mtime.getTime());
+
+            // Served from the front from now on
+            var get = front.get;
+            var fromFront = 0;
+            front.get = function(name) {
+                fromFront++;
+                return get.call(front, name);
+            };
+            (yield store.get(id)).toString().should.equal('test');
+            fromFront.should.equal(1);
+        }).then(done, done);
+    });
+
+    it('should not serve front copies of entries changed or removed through the back store (TieredStore)', function(done) {
+        var front = new Cache.MemoryStore();
+        var back = new Cache.FileStore({folder: folder});
+        var store = new Cache.TieredStore(front, back);
+        var id = String(createRandomID());
+
+        co(function*() {
+            yield store.put(id, 'test');
+            (yield store.get(id)).toString().should.equal('test');
+
+            // Rewritten by another process
+            yield back.put(id, 'changed', {mtime: new Date(Date.now() + 1000)});
+            (yield store.get(id)).toString().should.equal('changed');
+            (yield readStream(yield store.stream(id))).should.equal('changed');
+
+            // Removed by another process
+            yield back.del(id);
+            ((yield store.stat(id)) === null).should.be.ok;
+            ((yield store.get(id)) === null).should.be.ok;
+            ((yield store.stream(id)) === null).should.be.ok;
+            ((yield front.stat(id)) === null).should.be.ok;
+        }).then(done, done);
+    });
+
+});